@@ -0,0 +1,242 @@
+// api/_abuseShared.js
+// Abuse protection for alert sign-ups (/api/alerts create, the Telegram bot) and the
+// contact form (/api/contact).
+//
+// - Rate limits: fixed-window counters per client IP, per email domain and (for emails
+//   anyone can ask us to send: the My Alerts manage link, the Telegram /link email, the
+//   contact form acknowledgement) per recipient, kept in storage so every function
+//   instance shares them:
+//     rate-limits/<bucket>/<hash>.json   { windowStart, count }
+//   <hash> is hashKey() of the IP / domain / address, so none appears in (public) blob URLs.
+//   Big free-mail domains skip the domain bucket - thousands of real users share them,
+//   and the IP limit already covers one client spraying addresses there.
+// - Disposable (throwaway) email domains are refused outright.
+// - setalert.html and contact.html have a hidden "website" field only bots fill in
+//   (isHoneypotFilled()).
+// - The active alert limit is per account, not per address: every address with the
+//   same canonicalEmail() counts together (see _alertRepoShared.js).
+//
+// Env vars:
+//   ALERTS_CREATE_LIMIT_PER_IP       alerts one IP may create per hour, default 10
+//   ALERTS_CREATE_LIMIT_PER_DOMAIN   alerts one email domain may create per hour, default 50
+//   ALERTS_LINK_LIMIT_PER_IP         manage link requests one IP may make per hour, default 10
+//   ALERTS_LINK_LIMIT_PER_EMAIL      manage link emails one address may get per day, default 3
+//   CONTACT_LIMIT_PER_IP             contact form messages one IP may send per hour, default 5
+//   CONTACT_LIMIT_PER_EMAIL          contact form messages from one address per day, default 3
+//   TELEGRAM_LINK_LIMIT_PER_EMAIL    Telegram /link emails one address may get per day, default 3
+//   ALERTS_BLOCKED_DOMAINS           extra disposable domains, comma-separated
+//   ALERTS_MAX_ACTIVE_PER_EMAIL      active alerts per account, default 5
+//   ALERTS_EMAIL_LIMITS              per-account overrides, e.g. "vip@example.com:20,shop@example.com:50"
+const { getStorage, hashKey, StorageConflictError } = require("./_storageShared");
+const { MAX_ACTIVE_ALERTS, countsTowardAlertLimit } = require("./_alertsShared");
+const { canonicalEmail, listAccountEmails, listAlertsByEmail } = require("./_alertRepoShared");
+
+const RATE_LIMITS_PREFIX = "rate-limits/";
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const CREATE_LIMIT_PER_IP = Number(process.env.ALERTS_CREATE_LIMIT_PER_IP) || 10;
+const CREATE_LIMIT_PER_DOMAIN = Number(process.env.ALERTS_CREATE_LIMIT_PER_DOMAIN) || 50;
+const LINK_LIMIT_PER_IP = Number(process.env.ALERTS_LINK_LIMIT_PER_IP) || 10;
+const LINK_LIMIT_PER_EMAIL = Number(process.env.ALERTS_LINK_LIMIT_PER_EMAIL) || 3;
+const CONTACT_LIMIT_PER_IP = Number(process.env.CONTACT_LIMIT_PER_IP) || 5;
+const CONTACT_LIMIT_PER_EMAIL = Number(process.env.CONTACT_LIMIT_PER_EMAIL) || 3;
+const TELEGRAM_LINK_LIMIT_PER_EMAIL = Number(process.env.TELEGRAM_LINK_LIMIT_PER_EMAIL) || 3;
+
+const FREE_MAIL_DOMAINS = new Set([
+  "gmail.com", "googlemail.com", "outlook.com", "hotmail.com", "live.com", "msn.com",
+  "yahoo.com", "ymail.com", "icloud.com", "me.com", "mac.com", "aol.com",
+  "proton.me", "protonmail.com", "gmx.com", "gmx.de", "web.de", "mail.com", "zoho.com",
+]);
+
+const DISPOSABLE_DOMAINS = [
+  "mailinator.com", "guerrillamail.com", "guerrillamail.net", "sharklasers.com", "grr.la",
+  "10minutemail.com", "10minutemail.net", "tempmail.com", "temp-mail.org", "temp-mail.io",
+  "tempmailo.com", "tempr.email", "throwawaymail.com", "trashmail.com", "trashmail.de",
+  "yopmail.com", "yopmail.net", "getnada.com", "nada.email", "dispostable.com",
+  "maildrop.cc", "mailnesia.com", "mintemail.com", "mohmal.com", "fakeinbox.com",
+  "emailondeck.com", "mailcatch.com", "spamgourmet.com", "moakt.com", "burnermail.io",
+  "discard.email", "mailpoof.com", "tmail.ws", "33mail.com",
+];
+
+/* ------------------------------ Rate limits ------------------------------ */
+
+function rateLimitKey(bucket, id) {
+  return `${RATE_LIMITS_PREFIX}${bucket}/${hashKey(`${bucket}:${id}`)}.json`;
+}
+
+/**
+ * Count one hit for `id` in `bucket`. Once `limit` hits land in the current window the
+ * rest are refused (and not counted) until it ends. The read is uncached and the write is
+ * conditional on its version (see _storageShared.js), so parallel hits can't both count
+ * from the same number.
+ * @returns {Promise<{ limited: boolean, retryAfterSeconds: number }>}
+ */
+async function hitRateLimit(bucket, id, { limit, windowMs = HOUR_MS, now = Date.now() }) {
+  const key = rateLimitKey(bucket, id);
+  const storage = getStorage();
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const file = await storage.readJson(key);
+    const current = file && file.data && now - file.data.windowStart < windowMs ? file.data : null;
+    const windowStart = current ? current.windowStart : now;
+    const count = current ? current.count : 0;
+
+    if (count >= limit) {
+      return { limited: true, retryAfterSeconds: Math.max(1, Math.ceil((windowStart + windowMs - now) / 1000)) };
+    }
+
+    try {
+      await storage.writeJson(key, { windowStart, count: count + 1 }, { ifVersion: file ? file.version : null });
+      return { limited: false, retryAfterSeconds: 0 };
+    } catch (err) {
+      if (!(err instanceof StorageConflictError)) throw err;
+    }
+  }
+
+  // Lost every race: that only happens under a burst on this one counter, which is what
+  // the limit is for, so refuse rather than let a parallel spray through uncounted
+  console.log(`[ABUSE] Rate limit counter ${bucket} kept conflicting, refusing the request`);
+  return { limited: true, retryAfterSeconds: 5 };
+}
+
+function emailDomain(email) {
+  const clean = String(email || "").trim().toLowerCase();
+  return clean.slice(clean.lastIndexOf("@") + 1);
+}
+
+// Sign-ups per email domain (free-mail domains are exempt, see above)
+async function hitDomainLimit(email) {
+  const domain = emailDomain(email);
+  if (domain && !FREE_MAIL_DOMAINS.has(domain)) {
+    const byDomain = await hitRateLimit("create-domain", domain, { limit: CREATE_LIMIT_PER_DOMAIN });
+    if (byDomain.limited) return { ...byDomain, reason: "domain" };
+  }
+  return { limited: false, retryAfterSeconds: 0 };
+}
+
+/**
+ * The sign-up limits for a new alert: per client IP, then per email domain.
+ * @returns {Promise<{ limited: boolean, retryAfterSeconds: number, reason?: string }>}
+ */
+async function checkCreateRateLimit(ip, email) {
+  const byIp = await hitRateLimit("create-ip", ip, { limit: CREATE_LIMIT_PER_IP });
+  if (byIp.limited) return { ...byIp, reason: "ip" };
+  return hitDomainLimit(email);
+}
+
+/**
+ * The limits for a My Alerts manage link email: per client IP, then per recipient. Counted
+ * whether or not the address has alerts, so a 429 doesn't give away which ones do.
+ * @returns {Promise<{ limited: boolean, retryAfterSeconds: number, reason?: string }>}
+ */
+async function checkManageLinkRateLimit(ip, email) {
+  const byIp = await hitRateLimit("manage-link-ip", ip, { limit: LINK_LIMIT_PER_IP });
+  if (byIp.limited) return { ...byIp, reason: "ip" };
+
+  const cleanEmail = String(email || "").trim().toLowerCase();
+  const byEmail = await hitRateLimit("manage-link-email", cleanEmail, { limit: LINK_LIMIT_PER_EMAIL, windowMs: DAY_MS });
+  if (byEmail.limited) return { ...byEmail, reason: "email" };
+
+  return { limited: false, retryAfterSeconds: 0 };
+}
+
+/**
+ * The limits for a Telegram /link email: per recipient, then the sign-up domain limit.
+ * Any chat can name any address, so the recipient count is what stops the bot being
+ * used to mail someone over and over (there's no client IP behind a webhook update).
+ * @returns {Promise<{ limited: boolean, retryAfterSeconds: number, reason?: string }>}
+ */
+async function checkTelegramLinkRateLimit(email) {
+  const cleanEmail = String(email || "").trim().toLowerCase();
+  const byEmail = await hitRateLimit("telegram-link-email", cleanEmail, { limit: TELEGRAM_LINK_LIMIT_PER_EMAIL, windowMs: DAY_MS });
+  if (byEmail.limited) return { ...byEmail, reason: "email" };
+  return hitDomainLimit(cleanEmail);
+}
+
+/**
+ * The contact form limits: per client IP, then per sender address - each message sends
+ * that address an acknowledgement, so the form mustn't be a way to mail someone repeatedly.
+ * @returns {Promise<{ limited: boolean, retryAfterSeconds: number, reason?: string }>}
+ */
+async function checkContactRateLimit(ip, email) {
+  const byIp = await hitRateLimit("contact-ip", ip, { limit: CONTACT_LIMIT_PER_IP });
+  if (byIp.limited) return { ...byIp, reason: "ip" };
+
+  const cleanEmail = String(email || "").trim().toLowerCase();
+  const byEmail = await hitRateLimit("contact-email", cleanEmail, { limit: CONTACT_LIMIT_PER_EMAIL, windowMs: DAY_MS });
+  if (byEmail.limited) return { ...byEmail, reason: "email" };
+
+  return { limited: false, retryAfterSeconds: 0 };
+}
+
+/* ---------------------------- Sign-up checks ----------------------------- */
+
+function blockedDomains() {
+  const extra = String(process.env.ALERTS_BLOCKED_DOMAINS || "")
+    .split(",")
+    .map(d => d.trim().toLowerCase())
+    .filter(Boolean);
+  return [...DISPOSABLE_DOMAINS, ...extra];
+}
+
+// Throwaway inbox services (and their subdomains)
+function isDisposableEmail(email) {
+  const domain = emailDomain(email);
+  if (!domain) return false;
+  return blockedDomains().some(d => domain === d || domain.endsWith(`.${d}`));
+}
+
+// The hidden "website" field on setalert.html / contact.html - people never see it, bots fill it in
+function isHoneypotFilled(body) {
+  return !!(body && String(body.website || "").trim());
+}
+
+/* ---------------------------- Account limits ----------------------------- */
+
+// "vip@example.com:20,..." -> Map(canonical email -> limit)
+function parseEmailLimits(value) {
+  const limits = new Map();
+  for (const entry of String(value || "").split(",")) {
+    const at = entry.lastIndexOf(":");
+    if (at < 1) continue;
+    const limit = parseInt(entry.slice(at + 1), 10);
+    if (limit >= 0) limits.set(canonicalEmail(entry.slice(0, at)), limit);
+  }
+  return limits;
+}
+
+// How many active alerts `email`'s account may have
+function alertLimitFor(email) {
+  const override = parseEmailLimits(process.env.ALERTS_EMAIL_LIMITS).get(canonicalEmail(email));
+  return override !== undefined ? override : MAX_ACTIVE_ALERTS;
+}
+
+/**
+ * Whether `email` may add another alert: active alerts are counted across every address
+ * on the same account. Storage errors are thrown, not counted as zero alerts.
+ * @returns {Promise<{ allowed: boolean, limit: number, count: number }>}
+ */
+async function checkAlertLimit(email, now = Date.now()) {
+  const limit = alertLimitFor(email);
+  const emails = await listAccountEmails(email);
+
+  let count = 0;
+  for (const address of emails) {
+    const alerts = await listAlertsByEmail(address);
+    count += alerts.filter(a => countsTowardAlertLimit(a, now)).length;
+  }
+
+  return { allowed: count < limit, limit, count };
+}
+
+module.exports = {
+  hitRateLimit,
+  checkCreateRateLimit,
+  checkManageLinkRateLimit,
+  checkContactRateLimit,
+  checkTelegramLinkRateLimit,
+  isDisposableEmail,
+  isHoneypotFilled,
+  alertLimitFor,
+  checkAlertLimit,
+};
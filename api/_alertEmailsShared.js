@@ -0,0 +1,465 @@
+// api/_alertEmailsShared.js
+// Email templates: confirmation, My Alerts link, data export/erasure receipts
+// (/api/alerts), deal matches, digests, expiry reminders (the check-alerts cron), the
+// Telegram /link email (/api/telegram) and the contact form emails (/api/contact).
+//
+// Each generate*Email() returns renderEmail()'s { html, text }; callers add to/from/subject
+// and headers. They only depend on their arguments (and the clock for "days left"), so
+// test/emails.test.js renders every one of them against stored snapshots.
+const { SITE_URL, createToken, buildManageUrl, buildRenewUrl } = require("./_tokenShared");
+const { COLORS, escapeHtml, safeUrl, button, manageSection, renderEmail } = require("./_emailShared");
+const {
+  ALERT_LIFETIME_DAYS,
+  PENDING_ALERT_TTL_MS,
+  RENEW_GRACE_MS,
+  isPendingAlert,
+  alertExpiresAt,
+  genderLabel,
+  shoeTypeLabel,
+  alertMode,
+  describeAlertCriteria,
+  shortAlertCriteria,
+  describeStoreFilters,
+  dealPrice,
+} = require("./_alertsShared");
+const { alertLimitFor } = require("./_abuseShared");
+
+/* ------------------------------ /api/alerts ------------------------------ */
+
+function formatDateShort(ms) {
+  const d = new Date(ms);
+  const day = d.getDate();
+  const months = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+  const mon = months[d.getMonth()];
+  const yy = String(d.getFullYear()).slice(-2);
+  return `${day}-${mon}-${yy}`;
+}
+
+// Double opt-in link: GET /api/alerts?action=confirm&email=...&token=... (opens pages/alert-link.html)
+function buildConfirmUrl(alert) {
+  const token = createToken({
+    purpose: "confirm",
+    email: alert.email,
+    ttlMs: PENDING_ALERT_TTL_MS,
+    claims: { a: alert.id }
+  });
+  return `${SITE_URL}/api/alerts?action=confirm&email=${encodeURIComponent(alert.email)}&token=${encodeURIComponent(token)}`;
+}
+
+function generateConfirmationEmail(newAlert, allUserAlerts) {
+  const daysLeft = ALERT_LIFETIME_DAYS;
+  const pendingHours = Math.round(PENDING_ALERT_TTL_MS / (60 * 60 * 1000));
+  const alertsHtml = allUserAlerts.map(alert => `
+    <tr>
+      <td style="padding: 8px; border-bottom: 1px solid #ddd;">${formatDateShort(alert.setAt)}</td>
+      <td style="padding: 8px; border-bottom: 1px solid #ddd;">${escapeHtml(`${alert.brand} ${alert.model}`)}</td>
+      <td style="padding: 8px; border-bottom: 1px solid #ddd; text-align: right;">${escapeHtml(shortAlertCriteria(alert))}</td>
+      <td style="padding: 8px; border-bottom: 1px solid #ddd; text-align: center;">${alert.cancelledAt ? 'Cancelled' : isPendingAlert(alert) ? 'Pending' : `${Math.max(0, 30 - Math.floor((Date.now() - alert.setAt) / (1000 * 60 * 60 * 24)))} days`}</td>
+    </tr>
+  `).join('');
+  const storeFilters = describeStoreFilters(newAlert);
+
+  const body = `
+      <p style="font-size: 16px; line-height: 1.6; color: #333; margin-bottom: 20px;">
+        Someone (hopefully you) asked Shoe Beagle to watch prices for this address. Confirm the alert below to start it:
+      </p>
+
+      <div style="background: #f9f9f9; border-left: 4px solid #214478; padding: 15px; margin-bottom: 25px;">
+        <p style="margin: 5px 0; font-size: 15px;"><strong>Shoe:</strong> ${escapeHtml(`${newAlert.brand} ${newAlert.model}`)}</p>
+        <p style="margin: 5px 0; font-size: 15px;"><strong>Gender:</strong> ${genderLabel(newAlert.gender)}</p>
+        ${newAlert.shoeType ? `<p style="margin: 5px 0; font-size: 15px;"><strong>Shoe Type:</strong> ${shoeTypeLabel(newAlert.shoeType)}</p>` : ''}
+        ${storeFilters ? `<p style="margin: 5px 0; font-size: 15px;"><strong>Stores:</strong> ${escapeHtml(storeFilters)}</p>` : ''}
+        <p style="margin: 5px 0; font-size: 15px;"><strong>Alert When:</strong> ${alertMode(newAlert) === "lowest" ? "The lowest price drops" : `Price is ${escapeHtml(describeAlertCriteria(newAlert))}`}</p>
+        <p style="margin: 5px 0; font-size: 15px;"><strong>Duration:</strong> ${daysLeft} days (expires ${new Date(newAlert.setAt + 30 * 24 * 60 * 60 * 1000).toLocaleDateString()})</p>
+      </div>
+
+      <div style="text-align: center; margin: 30px 0;">
+        ${button(escapeHtml(buildConfirmUrl(newAlert)), "Confirm My Alert", { color: COLORS.go, large: true })}
+      </div>
+
+      <p style="font-size: 15px; line-height: 1.6; color: #333; margin-bottom: 25px;">
+        Once confirmed, we'll search daily for deals matching your criteria. ${alertMode(newAlert) === "lowest"
+          ? "Whenever we find your shoes cheaper than the lowest price we last sent you,"
+          : `When we find your shoes at ${escapeHtml(describeAlertCriteria(newAlert))},`} 
+        you'll be notified immediately!
+      </p>
+
+      <p style="font-size: 13px; line-height: 1.6; color: #666; margin-bottom: 25px;">
+        Didn't ask for this? Just ignore this email. Unconfirmed alerts are deleted after ${pendingHours} hours and we won't email you again.
+      </p>
+
+      ${allUserAlerts.length > 1 ? `
+      <h2 style="color: #214478; font-size: 18px; margin-top: 30px; margin-bottom: 15px;">Your Active Alerts</h2>
+      <table style="width: 100%; border-collapse: collapse; margin-bottom: 25px;">
+        <thead>
+          <tr style="background: #f4ede3;">
+            <th style="padding: 10px; text-align: left; border-bottom: 2px solid #214478;">Date Set</th>
+            <th style="padding: 10px; text-align: left; border-bottom: 2px solid #214478;">Shoe</th>
+            <th style="padding: 10px; text-align: right; border-bottom: 2px solid #214478;">Price</th>
+            <th style="padding: 10px; text-align: center; border-bottom: 2px solid #214478;">Time Left</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${alertsHtml}
+        </tbody>
+      </table>
+      ` : ''}
+
+      ${manageSection(escapeHtml(buildManageUrl(newAlert.email)), "Save this email to manage or cancel alerts.")}
+  `;
+
+  return renderEmail({
+    email: newAlert.email,
+    heading: "📬 Please Confirm Your Alert",
+    body,
+    footer: [
+      "Once confirmed, this alert will remain active for 30 days or until cancelled.",
+      `You can have up to ${alertLimitFor(newAlert.email)} active alerts at a time.`,
+      "<strong>Privacy:</strong> Your email is never sold or shared by Shoe Beagle.",
+      `Questions? Visit <a href="${SITE_URL}" style="color: #214478;">shoebeagle.com</a>`
+    ]
+  });
+}
+
+function generateManageLinkEmail(email) {
+  const body = `
+      <p style="font-size: 16px; line-height: 1.6; color: #333; margin-bottom: 25px;">
+        Someone (hopefully you) asked for a link to view and manage the Shoe Beagle alerts for this address.
+      </p>
+
+      <div style="text-align: center; margin: 30px 0;">
+        ${button(escapeHtml(buildManageUrl(email)), "Manage Alerts")}
+      </div>
+  `;
+
+  return renderEmail({
+    email,
+    heading: "🔑 Your My Alerts Link",
+    body,
+    footer: [
+      "This link is private to you and expires after a while. You can always request a new one from the My Alerts page.",
+      "If you didn't ask for it, you can safely ignore this email."
+    ]
+  });
+}
+
+function formatDateTime(ms) {
+  return new Date(ms).toUTCString().replace(" GMT", " UTC");
+}
+
+// Receipt for "Download my data" - mostly so a leaked manage link doesn't go unnoticed
+function generateExportEmail(email, data) {
+  const body = `
+      <p style="font-size: 16px; line-height: 1.6; color: #333; margin-bottom: 20px;">
+        A copy of the data Shoe Beagle holds for this address was downloaded from My Alerts on ${escapeHtml(formatDateTime(Date.parse(data.exportedAt)))}.
+      </p>
+
+      <div style="background: #f9f9f9; border-left: 4px solid #214478; padding: 15px; margin-bottom: 25px;">
+        <p style="margin: 5px 0; font-size: 15px;"><strong>Alerts:</strong> ${data.alerts.length}</p>
+        <p style="margin: 5px 0; font-size: 15px;"><strong>Notifications sent:</strong> ${data.notifications.length}</p>
+      </div>
+
+      <p style="font-size: 15px; line-height: 1.6; color: #333; margin-bottom: 25px;">
+        If that wasn't you, someone may have one of your alert emails. You can erase everything from My Alerts, or <a href="${SITE_URL}/pages/contact.html" style="color: #214478;">contact us</a>.
+      </p>
+
+      ${manageSection(escapeHtml(buildManageUrl(email)), "View or erase your data any time from My Alerts.")}
+  `;
+
+  return renderEmail({
+    email,
+    heading: "📦 Your Data Export",
+    body,
+    footer: ["<strong>Privacy:</strong> Your email is never sold or shared by Shoe Beagle."]
+  });
+}
+
+// Last email we ever send the address - no manage or unsubscribe links, there's nothing left
+function generateErasedEmail(counts) {
+  const body = `
+      <p style="font-size: 16px; line-height: 1.6; color: #333; margin-bottom: 20px;">
+        As requested, we've erased the data Shoe Beagle held for this address:
+      </p>
+
+      <div style="background: #f9f9f9; border-left: 4px solid #214478; padding: 15px; margin-bottom: 25px;">
+        <p style="margin: 5px 0; font-size: 15px;"><strong>Alerts:</strong> ${counts.alerts}</p>
+        <p style="margin: 5px 0; font-size: 15px;"><strong>Notification records:</strong> ${counts.notifications}</p>
+        ${counts.telegramChats ? `<p style="margin: 5px 0; font-size: 15px;"><strong>Telegram chats:</strong> ${counts.telegramChats}</p>` : ''}
+      </div>
+
+      <p style="font-size: 15px; line-height: 1.6; color: #333; margin-bottom: 25px;">
+        This is the last email you'll get from us. We only keep a record that this address must not be emailed again.
+        If you'd like alerts in future, set a new one at <a href="${SITE_URL}" style="color: #214478;">shoebeagle.com</a> and follow the resubscribe instructions.
+      </p>
+  `;
+
+  return renderEmail({
+    heading: "🗑️ Your Data Has Been Erased",
+    body,
+    footer: [`Questions? <a href="${SITE_URL}/pages/contact.html" style="color: #214478;">Contact us</a>`]
+  });
+}
+
+/* ------------------------------ Deal emails ------------------------------ */
+
+function renderDealCards(deals) {
+  return deals.map(deal => {
+    const price = dealPrice(deal).toFixed(2);
+    const originalPrice = deal.price && deal.salePrice && Number(deal.price) > Number(deal.salePrice)
+      ? `<span style="text-decoration: line-through; color: #999; margin-left: 8px;">$${Number(deal.price).toFixed(2)}</span>`
+      : "";
+    const previousPrice = deal.previousPrice != null
+      ? `<p style="margin: 5px 0; font-size: 13px; color: #28a745;"><strong>Down from $${deal.previousPrice.toFixed(2)}</strong> since our last email</p>`
+      : "";
+    const name = escapeHtml(`${deal.brand} ${deal.model}`);
+    const image = safeUrl(deal.image);
+    const url = safeUrl(deal.url);
+    
+    return `
+    <div style="border: 1px solid #ddd; border-radius: 8px; padding: 15px; margin-bottom: 15px; background: #f9f9f9;">
+      ${image ? `<img src="${image}" alt="${name}" style="max-width: 150px; height: auto; border-radius: 4px; margin-bottom: 10px;">` : ""}
+      <h3 style="margin: 0 0 10px; color: #214478; font-size: 16px;">${name}</h3>
+      <p style="margin: 5px 0; font-size: 14px;"><strong>Store:</strong> ${escapeHtml(deal.store)}</p>
+      <p style="margin: 5px 0; font-size: 14px;">
+        <strong>Price:</strong> 
+        <span style="color: #dc3545; font-size: 18px; font-weight: bold;">$${price}</span> 
+        ${originalPrice}
+      </p>
+      ${previousPrice}
+      ${url ? `<div style="margin-top: 10px;">${button(url, "View Deal")}</div>` : ""}
+    </div>
+    `;
+  }).join('');
+}
+
+// Small print at the bottom of every deal email
+const RETAILER_DISCLAIMER = "Shoe Beagle does not sell products directly and is not responsible for changes in price, availability, or shipping terms on retailer sites.";
+
+function searchUrl(alert) {
+  return `${SITE_URL}/?query=${encodeURIComponent(`${alert.brand} ${alert.model}`)}`;
+}
+
+function generateMatchEmail(alert, matches, daysLeft, { newDeals, droppedDeals }) {
+  // Sort by price (lowest first)
+  const sorted = matches.sort((a, b) => dealPrice(a) - dealPrice(b));
+  const lowestPrice = dealPrice(sorted[0]);
+  const byPrice = (a, b) => dealPrice(a) - dealPrice(b);
+  const shoe = escapeHtml(`${alert.brand} ${alert.model}`);
+  const storeFilters = describeStoreFilters(alert);
+
+  let intro;
+  if (alertMode(alert) === "lowest") {
+    intro = alert.lastSeenLowPrice != null
+      ? `<strong>${shoe}</strong> just hit a new low of <strong>$${lowestPrice.toFixed(2)}</strong> 
+        (down from <strong>$${Number(alert.lastSeenLowPrice).toFixed(2)}</strong>)! We found <strong>${matches.length}</strong> deal${matches.length > 1 ? 's' : ''} in total.`
+      : `The lowest price we found for <strong>${shoe}</strong> is <strong>$${lowestPrice.toFixed(2)}</strong>. 
+        We'll email you again whenever it drops below that. We found <strong>${matches.length}</strong> deal${matches.length > 1 ? 's' : ''} in total.`;
+  } else {
+    intro = `We found <strong>${matches.length}</strong> deal${matches.length > 1 ? 's' : ''} for 
+        <strong>${shoe}</strong> at your target of 
+        <strong>${escapeHtml(describeAlertCriteria(alert))}</strong>!`;
+  }
+
+  // Only what changed since the last email, up to 12 per section
+  const topNew = newDeals.slice().sort(byPrice).slice(0, 12);
+  const topDropped = droppedDeals.slice().sort(byPrice).slice(0, 12);
+
+  const body = `
+      <p style="font-size: 16px; line-height: 1.6; color: #333; margin-bottom: 20px;">
+        ${intro}
+      </p>
+
+      <p style="font-size: 14px; color: #666; margin-bottom: 20px;">
+        <strong>Gender:</strong> ${genderLabel(alert.gender)}${alert.shoeType ? ` &nbsp;·&nbsp; <strong>Shoe Type:</strong> ${shoeTypeLabel(alert.shoeType)}` : ''}${storeFilters ? ` &nbsp;·&nbsp; <strong>Stores:</strong> ${escapeHtml(storeFilters)}` : ''}
+      </p>
+
+      <div style="text-align: center; margin: 30px 0;">
+        ${button(escapeHtml(searchUrl(alert)), "Click Here to View Your Deals", { color: COLORS.go, large: true })}
+      </div>
+
+      <p style="font-size: 14px; color: #666; text-align: center; margin-bottom: 30px;">
+        The search will automatically show you all ${matches.length} deals sorted by lowest price first
+      </p>
+
+      ${topNew.length ? `
+      <h2 style="color: #214478; font-size: 18px; margin-top: 30px; margin-bottom: 15px;">
+        🆕 New Deal${newDeals.length > 1 ? 's' : ''} (${newDeals.length}${newDeals.length > topNew.length ? `, showing ${topNew.length}` : ''}):
+      </h2>
+
+      ${renderDealCards(topNew)}
+      ` : ''}
+
+      ${topDropped.length ? `
+      <h2 style="color: #214478; font-size: 18px; margin-top: 30px; margin-bottom: 15px;">
+        📉 Price Dropped (${droppedDeals.length}${droppedDeals.length > topDropped.length ? `, showing ${topDropped.length}` : ''}):
+      </h2>
+
+      ${renderDealCards(topDropped)}
+      ` : ''}
+
+      <div style="margin-top: 30px; padding: 20px; background: #f4ede3; border-radius: 8px;">
+        <p style="margin: 0; font-size: 14px; color: #333; line-height: 1.6;">
+          <strong>Your alert will continue checking daily ${daysLeft > 0 ? `for the next ${daysLeft} days` : 'until the end of today'}</strong> 
+          (or until you cancel it). We'll only email you again when a new deal appears or one of these drops further in price.
+        </p>
+      </div>
+
+      ${manageSection(escapeHtml(buildManageUrl(alert.email)), "Want to manage or cancel this alert?")}
+  `;
+
+  return renderEmail({
+    email: alert.email,
+    heading: "🎉 Great News! We Found Your Shoes!",
+    body,
+    footer: [RETAILER_DISCLAIMER]
+  });
+}
+
+// One email covering every alert with news for a digest user.
+// entries: [{ alert, matches, changes, lowestPrice }]
+function generateDigestEmail(email, entries, frequency) {
+  const byPrice = (a, b) => dealPrice(a) - dealPrice(b);
+  const totalNew = entries.reduce((sum, e) => sum + e.changes.newDeals.length, 0);
+  const totalDropped = entries.reduce((sum, e) => sum + e.changes.droppedDeals.length, 0);
+
+  const sections = entries.map(({ alert, matches, changes, lowestPrice }) => {
+    // Up to 6 cards per alert, cheapest first
+    const top = [...changes.newDeals, ...changes.droppedDeals].sort(byPrice).slice(0, 6);
+    const counts = [];
+    if (changes.newDeals.length) counts.push(`${changes.newDeals.length} new`);
+    if (changes.droppedDeals.length) counts.push(`${changes.droppedDeals.length} price drop${changes.droppedDeals.length > 1 ? 's' : ''}`);
+    const summary = alertMode(alert) === "lowest"
+      ? `New low: <strong>$${lowestPrice.toFixed(2)}</strong>`
+      : counts.join(", ");
+
+    return `
+      <h2 style="color: #214478; font-size: 18px; margin: 30px 0 5px;">${escapeHtml(`${alert.brand} ${alert.model}`)}</h2>
+      <p style="font-size: 14px; color: #666; margin: 0 0 15px;">
+        ${escapeHtml(describeAlertCriteria(alert))} &nbsp;·&nbsp; ${summary}
+        &nbsp;·&nbsp; <a href="${escapeHtml(searchUrl(alert))}" style="color: #214478;">see all ${matches.length}</a>
+      </p>
+      ${renderDealCards(top)}
+    `;
+  }).join('');
+
+  const body = `
+      <p style="font-size: 16px; line-height: 1.6; color: #333; margin-bottom: 20px;">
+        <strong>${entries.length}</strong> of your alerts found something since your last digest:
+        <strong>${totalNew}</strong> new deal${totalNew === 1 ? '' : 's'} and <strong>${totalDropped}</strong> price drop${totalDropped === 1 ? '' : 's'}.
+      </p>
+
+      ${sections}
+
+      ${manageSection(escapeHtml(buildManageUrl(email)), "Prefer an email as soon as each alert matches? Change how often we email you on My Alerts.")}
+  `;
+
+  return renderEmail({
+    email,
+    heading: `🐶 Your ${frequency === "weekly" ? "Weekly" : "Daily"} Deal Digest`,
+    body,
+    footer: [RETAILER_DISCLAIMER]
+  });
+}
+
+function generateExpiryReminderEmail(alert, daysLeft) {
+  const renewUrl = buildRenewUrl(alert, alertExpiresAt(alert) + RENEW_GRACE_MS);
+  const whenText = daysLeft > 1 ? `in ${daysLeft} days` : daysLeft === 1 ? "tomorrow" : "today";
+
+  const body = `
+      <p style="font-size: 16px; line-height: 1.6; color: #333; margin-bottom: 20px;">
+        Your alert for <strong>${escapeHtml(`${alert.brand} ${alert.model}`)}</strong> at <strong>${escapeHtml(describeAlertCriteria(alert))}</strong>
+        stops checking prices ${whenText}. Still hunting for a deal? Keep it going for another 30 days with one click.
+      </p>
+
+      <div style="text-align: center; margin: 30px 0;">
+        ${button(escapeHtml(renewUrl), "Extend 30 Days", { color: COLORS.go, large: true })}
+      </div>
+
+      <p style="font-size: 14px; color: #666; text-align: center; margin-bottom: 30px;">
+        Your price, filters and the deals we've already sent you stay the same. If you don't need it any more, just ignore this email.
+      </p>
+
+      ${manageSection(escapeHtml(buildManageUrl(alert.email)), "Want to change or cancel this alert instead?")}
+  `;
+
+  return renderEmail({
+    email: alert.email,
+    heading: `⏰ Your Alert Expires ${whenText === "today" ? "Today" : "Soon"}`,
+    body
+  });
+}
+
+/* ------------------------------ /api/telegram ---------------------------- */
+
+function generateTelegramLinkEmail(email, linkUrl, username) {
+  const body = `
+      <p style="font-size: 16px; line-height: 1.6; color: #333; margin-bottom: 25px;">
+        Someone (hopefully you${username ? `, as @${escapeHtml(username)}` : ""}) asked to get Shoe Beagle alerts for this address in Telegram.
+        Click below and confirm to connect the chat. The link works for an hour.
+      </p>
+
+      <div style="text-align: center; margin: 30px 0;">
+        ${button(escapeHtml(linkUrl), "Connect Telegram")}
+      </div>
+  `;
+
+  return renderEmail({
+    email,
+    heading: "💬 Connect Telegram",
+    body,
+    footer: ["If you didn't ask for this, you can safely ignore this email - nothing changes unless you confirm."]
+  });
+}
+
+/* ------------------------------ /api/contact ----------------------------- */
+
+function generateContactSupportEmail({ name, email, message }, ip) {
+  const body = `
+      <div style="background: #f9f9f9; border-left: 4px solid #214478; padding: 15px; margin-bottom: 25px;">
+        <p style="margin: 5px 0; font-size: 15px;"><strong>From:</strong> ${escapeHtml(name)} &lt;${escapeHtml(email)}&gt;</p>
+        <p style="margin: 5px 0; font-size: 15px;"><strong>IP:</strong> ${escapeHtml(ip)}</p>
+      </div>
+
+      <p style="font-size: 15px; line-height: 1.6; color: #333; white-space: pre-wrap;">${escapeHtml(message)}</p>
+  `;
+
+  return renderEmail({
+    heading: "✉️ Contact Form Message",
+    body,
+    footer: ["Reply to this email to answer the sender directly."]
+  });
+}
+
+// Fixed text only: anyone can type any address into the form (see api/contact.js)
+function generateContactAcknowledgementEmail(email) {
+  const body = `
+      <p style="font-size: 16px; line-height: 1.6; color: #333; margin-bottom: 20px;">
+        Thanks for getting in touch! We've got your message and will reply to this address as soon as we can.
+      </p>
+  `;
+
+  return renderEmail({
+    email,
+    heading: "🐾 We Got Your Message",
+    body,
+    footer: [
+      "If you didn't send this, you can safely ignore this email.",
+      `Visit <a href="${SITE_URL}" style="color: #214478;">shoebeagle.com</a>`
+    ]
+  });
+}
+
+module.exports = {
+  RETAILER_DISCLAIMER,
+  searchUrl,
+  generateConfirmationEmail,
+  generateManageLinkEmail,
+  generateExportEmail,
+  generateErasedEmail,
+  generateMatchEmail,
+  generateDigestEmail,
+  generateExpiryReminderEmail,
+  generateTelegramLinkEmail,
+  generateContactSupportEmail,
+  generateContactAcknowledgementEmail,
+};
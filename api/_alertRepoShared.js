@@ -0,0 +1,414 @@
+// api/_alertRepoShared.js
+// Alert repository: every read/write of alert records goes through here.
+//
+// Alerts are sharded per email so list/create/manage only touch one user's data
+// instead of loading every alert on the site. All files live in the storage layer
+// (_storageShared.js):
+//
+//   alert-shards/<shard>/alerts.json               snapshot { email, alerts, prefs, appliedEvents, lastUpdated }
+//   alert-shards/<shard>/events/<ms>-<rand>.json   pending changes { at, ops: [op, ...] }
+//   alert-ids/<alertId>.json                       { email } pointer for lookups by id alone
+//   alert-accounts/<account>.json                  { emails } every address seen for one account
+//
+// <shard> is hashKey() of the lowercased email, so addresses never appear in (public) blob URLs
+// and a shard can't be found from an address without the server secret. <account> is hashKey()
+// of the canonical form (canonicalEmail()), so "jo.smith+shoes@gmail.com" and
+// "josmith@gmail.com" share one - the per-account alert limit counts all of them.
+//
+// Writes never rewrite a snapshot directly (two requests would race and one would be
+// lost). Each mutation is appended as its own uniquely-named event file:
+//     { op: "create", alert }           add a new alert (ignored if the id already exists)
+//     { op: "update", id, changes }     shallow-merge changes into an existing alert
+//     { op: "remove", id }              delete an alert
+//     { op: "prefs", changes }          shallow-merge changes into the email's notification prefs
+// Readers fold events not yet in the snapshot on top of it, so a change is visible as
+// soon as its event is written. compactShard() writes the folded snapshot back and
+// remembers which events it contains in `appliedEvents`. An event file is only deleted
+// once it is both in the stored snapshot and older than EVENT_RETENTION_MS - far longer
+// than any function runs - so a slow compactor can't overwrite the snapshot with a
+// version missing an event that has already been deleted.
+//
+// Import an existing alerts.json with: npm run migrate:alerts
+const { getStorage, hashKey, StorageConflictError } = require("./_storageShared");
+
+const SHARDS_PREFIX = "alert-shards/";
+const IDS_PREFIX = "alert-ids/";
+const ACCOUNTS_PREFIX = "alert-accounts/";
+const EVENT_RETENTION_MS = 60 * 60 * 1000;
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+// Providers that ignore dots in the local part
+const DOTLESS_DOMAINS = { "gmail.com": "gmail.com", "googlemail.com": "gmail.com" };
+
+// The mailbox an address really delivers to: no "+tag", and no dots for Gmail
+function canonicalEmail(email) {
+  const clean = normalizeEmail(email);
+  const at = clean.lastIndexOf("@");
+  if (at < 1) return clean;
+  let local = clean.slice(0, at).split("+")[0];
+  let domain = clean.slice(at + 1);
+  if (DOTLESS_DOMAINS[domain]) {
+    local = local.replace(/\./g, "");
+    domain = DOTLESS_DOMAINS[domain];
+  }
+  return `${local || clean.slice(0, at)}@${domain}`;
+}
+
+function accountKey(email) {
+  return `${ACCOUNTS_PREFIX}${hashKey(`account:${canonicalEmail(email)}`)}.json`;
+}
+
+function shardFor(email) {
+  return hashKey(`shard:${normalizeEmail(email)}`);
+}
+
+const snapshotKey = shard => `${SHARDS_PREFIX}${shard}/alerts.json`;
+const eventsPrefix = shard => `${SHARDS_PREFIX}${shard}/events/`;
+
+function idKey(alertId) {
+  const id = String(alertId || "");
+  if (!/^[\w-]{1,80}$/.test(id)) return null;
+  return `${IDS_PREFIX}${id}.json`;
+}
+
+// Per-email notification preferences (see _alertsShared.js NOTIFY_FREQUENCIES),
+// chat/webhook channels (see _channelsShared.js), browser push subscriptions (_pushShared.js)
+// and the linked Telegram chat (_telegramShared.js)
+const DEFAULT_PREFS = { frequency: "immediate", lastDigestSentAt: null, channels: [], pushSubscriptions: [], telegram: null };
+
+// Applies ops to `alerts` in place. "prefs" ops are applied to `prefs` when one is passed.
+function applyAlertOps(alerts, ops, prefs = null) {
+  for (const op of ops || []) {
+    if (op.op === "prefs") {
+      if (prefs && op.changes) Object.assign(prefs, op.changes);
+      continue;
+    }
+    if (op.op === "create" && op.alert && !alerts.some(a => a.id === op.alert.id)) {
+      alerts.push(op.alert);
+    } else if (op.op === "update") {
+      const index = alerts.findIndex(a => a.id === op.id);
+      if (index >= 0) alerts[index] = { ...alerts[index], ...op.changes };
+    } else if (op.op === "remove") {
+      const index = alerts.findIndex(a => a.id === op.id);
+      if (index >= 0) alerts.splice(index, 1);
+    }
+  }
+  return alerts;
+}
+
+// Snapshot + every event not folded into it yet, for one shard
+async function loadShardState(shard) {
+  const storage = getStorage();
+  const [file, eventFiles] = await Promise.all([
+    storage.readJson(snapshotKey(shard)),
+    storage.list(eventsPrefix(shard)),
+  ]);
+
+  const data = file ? file.data : null;
+  const snapshotAlerts = data && Array.isArray(data.alerts) ? data.alerts : [];
+  const applied = new Set(data && Array.isArray(data.appliedEvents) ? data.appliedEvents : []);
+
+  // Event keys start with a zero-padded timestamp, so key order is write order
+  const pending = eventFiles
+    .map(f => f.key)
+    .filter(key => key.endsWith(".json") && !applied.has(key))
+    .sort();
+
+  const events = [];
+  for (const key of pending) {
+    const event = await storage.readJson(key);
+    if (event) events.push({ key, ops: event.data && event.data.ops });
+  }
+
+  const alerts = snapshotAlerts.map(a => ({ ...a }));
+  const prefs = { ...DEFAULT_PREFS, ...(data && data.prefs) };
+  for (const event of events) applyAlertOps(alerts, event.ops, prefs);
+
+  return {
+    shard,
+    email: data ? data.email : null,
+    alerts,
+    prefs,
+    version: file ? file.version : null,
+    appliedEvents: [...applied],
+    pendingEvents: events.map(e => e.key),
+    eventFiles,
+  };
+}
+
+// Fold pending events into the shard snapshot and delete events that are safely folded in.
+// Returns { compacted, deleted } counts.
+async function compactShard(shard, now = Date.now()) {
+  const storage = getStorage();
+  const state = await loadShardState(shard);
+  const prefix = eventsPrefix(shard);
+
+  const eventTime = key => Number(key.slice(prefix.length).split("-")[0]);
+  const isOld = key => now - eventTime(key) > EVENT_RETENTION_MS;
+
+  // Events already in the stored snapshot and old enough can go. They stay listed in
+  // appliedEvents until the delete has gone through, so a failed delete can't replay an
+  // old update; keys whose files are gone are dropped on the next compaction.
+  const existing = new Set(state.eventFiles.map(f => f.key));
+  const deletable = state.appliedEvents.filter(key => existing.has(key) && isOld(key));
+  const appliedEvents = [...state.appliedEvents, ...state.pendingEvents].filter(key => existing.has(key));
+
+  // Nothing left for this email at all -> drop the snapshot instead of keeping an empty file
+  // (prefs go with it; they only matter while the email has alerts)
+  if (state.alerts.length === 0 && state.eventFiles.length === 0) {
+    if (state.version) await storage.remove(snapshotKey(shard));
+    return { compacted: 0, deleted: 0 };
+  }
+
+  if (state.pendingEvents.length > 0 || appliedEvents.length !== state.appliedEvents.length) {
+    const email = state.email || (state.alerts[0] && state.alerts[0].email) || null;
+    try {
+      await storage.writeJson(
+        snapshotKey(shard),
+        { email, alerts: state.alerts, prefs: state.prefs, appliedEvents, lastUpdated: new Date().toISOString() },
+        { ifVersion: state.version }
+      );
+    } catch (err) {
+      if (err.name === "StorageConflictError") {
+        // Someone else compacted at the same time; their snapshot is just as good
+        console.log(`[ALERT REPO] Compaction of ${shard} raced another writer, leaving it to them`);
+        return { compacted: 0, deleted: 0 };
+      }
+      throw err;
+    }
+  }
+
+  for (const key of deletable) await storage.remove(key);
+
+  return { compacted: state.pendingEvents.length, deleted: deletable.length };
+}
+
+/* --------------------------------- Reads --------------------------------- */
+
+// One user's alerts (any status)
+async function listAlertsByEmail(email) {
+  const cleanEmail = normalizeEmail(email);
+  if (!cleanEmail) return [];
+  const { alerts } = await loadShardState(shardFor(cleanEmail));
+  return alerts.filter(a => a.email === cleanEmail);
+}
+
+async function getAlert(email, alertId) {
+  const alerts = await listAlertsByEmail(email);
+  return alerts.find(a => a.id === alertId) || null;
+}
+
+// Lookup by id alone (via the alert-ids/ pointer)
+async function findAlertById(alertId) {
+  const key = idKey(alertId);
+  if (!key) return null;
+  const pointer = await getStorage().readJson(key);
+  if (!pointer || !pointer.data || !pointer.data.email) return null;
+  return getAlert(pointer.data.email, alertId);
+}
+
+// Every shard that has a snapshot or pending events
+async function listShards() {
+  const files = await getStorage().list(SHARDS_PREFIX);
+  const shards = new Set();
+  for (const f of files) {
+    const shard = f.key.slice(SHARDS_PREFIX.length).split("/")[0];
+    if (shard) shards.add(shard);
+  }
+  return [...shards].sort();
+}
+
+async function getNotificationPrefs(email) {
+  const cleanEmail = normalizeEmail(email);
+  if (!cleanEmail) return { ...DEFAULT_PREFS };
+  return (await loadShardState(shardFor(cleanEmail))).prefs;
+}
+
+// One shard's user: { shard, email, alerts, prefs }, or null if it has no alerts left
+async function loadUser(shard) {
+  const { email, alerts, prefs } = await loadShardState(shard);
+  const userEmail = email || (alerts[0] && alerts[0].email);
+  return userEmail ? { shard, email: userEmail, alerts, prefs } : null;
+}
+
+// Every user's alerts + prefs. The check-alerts cron pages through listShards() + loadUser()
+// instead, so a run can stop part way and carry on from the last shard.
+async function listAllUsers() {
+  const users = [];
+  for (const shard of await listShards()) {
+    const user = await loadUser(shard);
+    if (user) users.push(user);
+  }
+  return users;
+}
+
+async function listAllAlerts() {
+  return (await listAllUsers()).flatMap(user => user.alerts);
+}
+
+// Every address that shares `email`'s account (always includes `email` itself). Only
+// addresses that have created an alert since accounts were introduced are known.
+async function listAccountEmails(email) {
+  const cleanEmail = normalizeEmail(email);
+  const file = await getStorage().readJson(accountKey(cleanEmail));
+  const emails = (file && file.data && Array.isArray(file.data.emails)) ? file.data.emails : [];
+  return [...new Set([cleanEmail, ...emails])];
+}
+
+/* --------------------------------- Writes -------------------------------- */
+
+// Remember that `email` belongs to its account. Version-checked, so two sign-ups
+// racing for one account don't drop an address.
+async function addAccountEmail(email) {
+  const cleanEmail = normalizeEmail(email);
+  const key = accountKey(cleanEmail);
+  const storage = getStorage();
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const file = await storage.readJson(key);
+    const emails = (file && file.data && Array.isArray(file.data.emails)) ? file.data.emails : [];
+    if (emails.includes(cleanEmail)) return;
+    try {
+      await storage.writeJson(key, { emails: [...emails, cleanEmail] }, { ifVersion: file ? file.version : null });
+      return;
+    } catch (err) {
+      if (!(err instanceof StorageConflictError)) throw err;
+    }
+  }
+  console.log(`[ALERT REPO] Gave up adding ${cleanEmail} to its account after repeated conflicts`);
+}
+
+// Append one atomic batch of ops for a single email, then fold it into the snapshot.
+// Recording never conflicts with other writers; compaction is best-effort.
+async function recordAlertChanges(email, ops) {
+  if (!ops || ops.length === 0) return null;
+
+  const shard = shardFor(email);
+  const key = `${eventsPrefix(shard)}${String(Date.now()).padStart(15, "0")}-${Math.random().toString(36).slice(2, 10)}.json`;
+  await getStorage().writeJson(key, { at: new Date().toISOString(), ops });
+
+  // Removed alerts can't be found by id any more
+  for (const op of ops) {
+    const pointer = op.op === "remove" ? idKey(op.id) : null;
+    if (pointer) await getStorage().remove(pointer);
+  }
+
+  try {
+    await compactShard(shard);
+  } catch (err) {
+    console.log(`[ALERT REPO] Compaction of ${shard} skipped:`, err.message);
+  }
+
+  return key;
+}
+
+// Create several alerts for one email as a single event (used by the alerts.json import)
+async function createAlerts(email, alerts) {
+  const cleanEmail = normalizeEmail(email);
+  for (const alert of alerts) {
+    const key = idKey(alert.id);
+    if (!key) throw new Error(`Invalid alert id: ${alert.id}`);
+    await getStorage().writeJson(key, { email: cleanEmail });
+  }
+  await recordAlertChanges(cleanEmail, alerts.map(alert => ({ op: "create", alert })));
+  return alerts;
+}
+
+async function createAlert(alert) {
+  await createAlerts(alert.email, [alert]);
+  return alert;
+}
+
+async function updateAlert(email, alertId, changes) {
+  await recordAlertChanges(email, [{ op: "update", id: alertId, changes }]);
+}
+
+async function removeAlert(email, alertId) {
+  await recordAlertChanges(email, [{ op: "remove", id: alertId }]);
+}
+
+async function updateNotificationPrefs(email, changes) {
+  await recordAlertChanges(email, [{ op: "prefs", changes }]);
+}
+
+// Forget `email` entirely (data erasure from My Alerts): every alert, its id pointers,
+// the prefs and the shard's event log. Returns how many alerts were removed.
+async function eraseAlertData(email) {
+  const cleanEmail = normalizeEmail(email);
+  const shard = shardFor(cleanEmail);
+  const storage = getStorage();
+  const { alerts } = await loadShardState(shard);
+
+  for (const alert of alerts) {
+    const pointer = idKey(alert.id);
+    if (pointer) await storage.remove(pointer);
+  }
+  for (const file of await storage.list(`${SHARDS_PREFIX}${shard}/`)) {
+    await storage.remove(file.key);
+  }
+
+  await removeAccountEmail(cleanEmail);
+  return alerts.length;
+}
+
+async function removeAccountEmail(email) {
+  const cleanEmail = normalizeEmail(email);
+  const key = accountKey(cleanEmail);
+  const storage = getStorage();
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const file = await storage.readJson(key);
+    const emails = (file && file.data && Array.isArray(file.data.emails)) ? file.data.emails : [];
+    if (!emails.includes(cleanEmail)) return;
+    const rest = emails.filter(e => e !== cleanEmail);
+    if (rest.length === 0) {
+      await storage.remove(key);
+      return;
+    }
+    try {
+      await storage.writeJson(key, { emails: rest }, { ifVersion: file.version });
+      return;
+    } catch (err) {
+      if (!(err instanceof StorageConflictError)) throw err;
+    }
+  }
+  console.log(`[ALERT REPO] Gave up removing ${cleanEmail} from its account after repeated conflicts`);
+}
+
+// Run compaction over every shard (check-alerts cron). Returns totals.
+async function compactAllShards(now = Date.now()) {
+  const totals = { shards: 0, compacted: 0, deleted: 0 };
+  for (const shard of await listShards()) {
+    const result = await compactShard(shard, now);
+    totals.shards++;
+    totals.compacted += result.compacted;
+    totals.deleted += result.deleted;
+  }
+  return totals;
+}
+
+module.exports = {
+  shardFor,
+  canonicalEmail,
+  listAccountEmails,
+  addAccountEmail,
+  applyAlertOps,
+  listAlertsByEmail,
+  getAlert,
+  findAlertById,
+  getNotificationPrefs,
+  listShards,
+  loadUser,
+  listAllUsers,
+  listAllAlerts,
+  recordAlertChanges,
+  createAlert,
+  createAlerts,
+  updateAlert,
+  removeAlert,
+  updateNotificationPrefs,
+  eraseAlertData,
+  compactShard,
+  compactAllShards,
+};
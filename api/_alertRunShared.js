@@ -0,0 +1,172 @@
+// api/_alertRunShared.js
+// Progress of the check-alerts cron, so one daily run can be spread over several
+// invocations instead of having to finish inside a single function's maxDuration.
+//
+//   alert-runs/current.json        { id, startedAt, lastShard, usersProcessed, invocations,
+//                                    totals, completedAt }
+//   alert-runs/claims/<n>.json     { runId, claimedAt, expiresAt }   (n zero-padded)
+//
+// Users are processed in shard order (see listShards() in _alertRepoShared.js) and
+// `lastShard` is the last shard whose emails went out and whose changes were recorded.
+// An invocation that runs out of time saves the cursor and stops; the next one picks up
+// after `lastShard`. Only one invocation works on a run at a time: the lease is the newest
+// claim file, and an invocation claims by creating the next one create-only (storage
+// refuses it if another invocation got there first). Claim files are never rewritten, and
+// "newest" comes from the numbers in their names, not upload times. Every cursor write is
+// also checked against the version we read, so an invocation that lost its lease stops
+// instead of emailing the same users again.
+//
+// Env vars:
+//   ALERTS_BATCH_SIZE          users loaded + checked per batch, default 25
+//   ALERTS_SEND_CONCURRENCY    users checked (and emailed) in parallel, default 5
+//   ALERTS_RUN_TIME_BUDGET_MS  stop starting new batches after this long, default 45000
+//                              (keep it well under the function's maxDuration)
+const crypto = require("crypto");
+const { getStorage, StorageConflictError } = require("./_storageShared");
+
+const RUN_KEY = "alert-runs/current.json";
+const CLAIMS_PREFIX = "alert-runs/claims/";
+
+const BATCH_SIZE = Math.max(1, Number(process.env.ALERTS_BATCH_SIZE) || 25);
+const SEND_CONCURRENCY = Math.max(1, Number(process.env.ALERTS_SEND_CONCURRENCY) || 5);
+const TIME_BUDGET_MS = Number(process.env.ALERTS_RUN_TIME_BUDGET_MS) || 45 * 1000;
+
+// A lease outlives any invocation (maxDuration is 60s), so it never needs extending and an
+// expired one means its invocation is over
+const LEASE_MS = 2 * 60 * 1000;
+// An unfinished run older than this is abandoned and the next daily run starts over
+const MAX_RUN_AGE_MS = 20 * 60 * 60 * 1000;
+
+class RunLostError extends Error {
+  constructor() {
+    super("Another invocation took over this alert run");
+    this.name = "RunLostError";
+  }
+}
+
+function emptyTotals() {
+  return {
+    alertsChecked: 0,
+    emailsSent: 0,
+    digestsSent: 0,
+    remindersSent: 0,
+    retriesSent: 0,
+    channelPosts: 0,
+    pushSent: 0,
+    telegramSent: 0,
+    deliveryFailures: 0,
+    suppressedSkipped: 0,
+    pendingPurged: 0,
+    inactivePruned: 0,
+  };
+}
+
+function claimKey(n) {
+  return `${CLAIMS_PREFIX}${String(n).padStart(10, "0")}.json`;
+}
+
+function claimNumber(key) {
+  return parseInt(key.slice(CLAIMS_PREFIX.length), 10) || 0;
+}
+
+/**
+ * Claim the current run for this invocation.
+ * @param {Object} opts
+ * @param {boolean} [opts.resumeOnly]  only continue an unfinished run, never start one
+ * @returns {Promise<{ status: "started"|"resumed", run: Object } | { status: "busy"|"idle" }>}
+ *   busy: another invocation holds the lease; idle: resumeOnly and nothing is unfinished
+ */
+async function claimRun({ resumeOnly = false, now = Date.now() } = {}) {
+  const storage = getStorage();
+
+  const claims = (await storage.list(CLAIMS_PREFIX)).map(file => file.key).sort();
+  const latestKey = claims[claims.length - 1];
+  const latest = latestKey ? await storage.readJson(latestKey) : null;
+  if (latest && latest.data && latest.data.expiresAt > now) return { status: "busy" };
+
+  const existing = await storage.readJson(RUN_KEY);
+  const current = existing && existing.data;
+  const unfinished = current && !current.completedAt && now - current.startedAt < MAX_RUN_AGE_MS;
+
+  if (!unfinished && resumeOnly) return { status: "idle" };
+
+  if (current && !current.completedAt && !unfinished) {
+    console.log(`[ALERT RUN] Abandoning run ${current.id} (stopped after ${current.usersProcessed} users)`);
+  }
+
+  const run = unfinished
+    ? { ...current, invocations: current.invocations + 1 }
+    : {
+        id: `${new Date(now).toISOString().replace(/[:.]/g, "-")}-${crypto.randomBytes(3).toString("hex")}`,
+        startedAt: now,
+        lastShard: null,
+        usersProcessed: 0,
+        invocations: 1,
+        totals: emptyTotals(),
+        completedAt: null,
+      };
+
+  const claim = { runId: run.id, claimedAt: now, expiresAt: now + LEASE_MS };
+  const ownKey = claimKey(latestKey ? claimNumber(latestKey) + 1 : 1);
+  try {
+    await storage.writeJson(ownKey, claim, { ifVersion: null });
+    const written = await storage.writeJson(RUN_KEY, run, { ifVersion: existing ? existing.version : null });
+
+    // Older claims have expired; only the newest is ever looked at
+    for (const key of claims) {
+      await storage.remove(key).catch(err => console.log(`[ALERT RUN] Could not remove ${key}:`, err.message));
+    }
+    return { status: unfinished ? "resumed" : "started", run: { ...run, leaseExpiresAt: claim.expiresAt, version: written.version } };
+  } catch (err) {
+    if (err instanceof StorageConflictError) return { status: "busy" };
+    throw err;
+  }
+}
+
+// Write the run back (cursor, totals). Throws RunLostError if the lease has run out or
+// someone else claimed the run since we last wrote it.
+async function saveRun(run, changes = {}, now = Date.now()) {
+  const { version, leaseExpiresAt, ...next } = { ...run, ...changes };
+  if (now >= leaseExpiresAt) throw new RunLostError();
+  try {
+    const written = await getStorage().writeJson(RUN_KEY, next, { ifVersion: version });
+    return { ...next, leaseExpiresAt, version: written.version };
+  } catch (err) {
+    if (err instanceof StorageConflictError) throw new RunLostError();
+    throw err;
+  }
+}
+
+function addTotals(totals, counts) {
+  const next = { ...emptyTotals(), ...totals };
+  for (const [key, value] of Object.entries(counts)) {
+    if (key in next) next[key] += value;
+  }
+  return next;
+}
+
+// Run fn over items with at most `limit` in flight; results in input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  BATCH_SIZE,
+  SEND_CONCURRENCY,
+  TIME_BUDGET_MS,
+  RunLostError,
+  emptyTotals,
+  claimRun,
+  saveRun,
+  addTotals,
+  mapWithConcurrency,
+};
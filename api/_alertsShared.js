@@ -0,0 +1,380 @@
+// api/_alertsShared.js
+// Alert lifecycle rules shared by /api/alerts, the Telegram bot and the check-alerts cron.
+//
+// Env vars:
+//   ALERTS_PENDING_TTL_HOURS   (optional) how long an unconfirmed alert is kept, default 48
+//   ALERTS_RETENTION_DAYS      (optional) how long cancelled/expired alerts are kept, default 90
+//   ALERTS_EXPIRY_REMINDER_DAYS (optional) how many days before expiry the reminder goes out, default 3
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ALERT_LIFETIME_DAYS = 30;
+const ALERT_LIFETIME_MS = ALERT_LIFETIME_DAYS * DAY_MS;
+const PENDING_ALERT_TTL_MS = (Number(process.env.ALERTS_PENDING_TTL_HOURS) || 48) * 60 * 60 * 1000;
+
+// Same vocabulary as deal.gender / deal.shoeType (see scrape-daily.js Deal typedef).
+// "both" and "" mean "don't filter".
+const ALERT_GENDERS = ["mens", "womens", "both"];
+const ALERT_SHOE_TYPES = ["road", "trail", "track"];
+
+// Returns the normalized gender, or null if the value isn't allowed.
+// Missing gender defaults to "both" (older clients never sent one).
+function normalizeAlertGender(value) {
+  const g = String(value || "").trim().toLowerCase();
+  if (!g) return "both";
+  return ALERT_GENDERS.includes(g) ? g : null;
+}
+
+// Returns the normalized shoe type ("" = any), or null if the value isn't allowed.
+function normalizeAlertShoeType(value) {
+  const t = String(value || "").trim().toLowerCase();
+  if (!t || t === "any") return "";
+  return ALERT_SHOE_TYPES.includes(t) ? t : null;
+}
+
+function genderLabel(gender) {
+  if (gender === "mens") return "Men's";
+  if (gender === "womens") return "Women's";
+  return "Men's or Women's";
+}
+
+function shoeTypeLabel(shoeType) {
+  if (shoeType === "road") return "Road";
+  if (shoeType === "trail") return "Trail";
+  if (shoeType === "track") return "Track/Spikes";
+  return "Any";
+}
+
+// Alert modes:
+//   target  -> deal price at or below alert.targetPrice (the original behaviour)
+//   percent -> deal at least alert.minPercentOff % below its original price
+//   lowest  -> any matching deal cheaper than alert.lastSeenLowPrice (the last low we emailed)
+// Alerts created before modes existed have no mode and are "target" alerts.
+const ALERT_MODES = ["target", "percent", "lowest"];
+const MAX_PERCENT_OFF = 90;
+
+// Returns the normalized mode, or null if the value isn't allowed.
+function normalizeAlertMode(value) {
+  const m = String(value || "").trim().toLowerCase();
+  if (!m) return "target";
+  return ALERT_MODES.includes(m) ? m : null;
+}
+
+function alertMode(alert) {
+  return alert.mode || "target";
+}
+
+// "$110 or less" / "at least 35% off" / "any new lowest price"
+function describeAlertCriteria(alert) {
+  const mode = alertMode(alert);
+  if (mode === "percent") return `at least ${Math.round(alert.minPercentOff)}% off`;
+  if (mode === "lowest") return "any new lowest price";
+  return `$${Math.round(alert.targetPrice)} or less`;
+}
+
+// Compact form for tables: "$110" / "35% off" / "New low"
+function shortAlertCriteria(alert) {
+  const mode = alertMode(alert);
+  if (mode === "percent") return `${Math.round(alert.minPercentOff)}% off`;
+  if (mode === "lowest") return "New low";
+  return `$${Math.round(alert.targetPrice)}`;
+}
+
+// "Only Running Warehouse, REI Outlet" / "All except Shoebacca" / "" (no store filter)
+function describeStoreFilters(alert) {
+  if (Array.isArray(alert.includeStores) && alert.includeStores.length) {
+    return `Only ${alert.includeStores.join(", ")}`;
+  }
+  if (Array.isArray(alert.excludeStores) && alert.excludeStores.length) {
+    return `All except ${alert.excludeStores.join(", ")}`;
+  }
+  return "";
+}
+
+// What a deal costs now (what alert prices are compared against and emails show)
+function dealPrice(deal) {
+  return Number(deal.salePrice ?? deal.price);
+}
+
+// Alerts are created pending (double opt-in) and only go live once the
+// confirm link is clicked. Alerts created before opt-in existed have no
+// pendingSince and are treated as confirmed.
+function isPendingAlert(alert) {
+  return !!alert.pendingSince;
+}
+
+function isStalePendingAlert(alert, now = Date.now()) {
+  return isPendingAlert(alert) && now - alert.pendingSince > PENDING_ALERT_TTL_MS;
+}
+
+function isExpiredAlert(alert, now = Date.now()) {
+  return alert.setAt + ALERT_LIFETIME_MS <= now;
+}
+
+// Confirmed, not cancelled, not expired -> checked by the cron
+function isActiveAlert(alert, now = Date.now()) {
+  return !alert.cancelledAt && !isPendingAlert(alert) && !isExpiredAlert(alert, now);
+}
+
+/* ------------------------------ Notification prefs ------------------------ */
+
+// Per email, not per alert:
+//   immediate -> one email per alert as soon as it matches (the original behaviour)
+//   daily     -> one digest a day covering all of the user's alerts
+//   weekly    -> one digest a week
+const NOTIFY_FREQUENCIES = ["immediate", "daily", "weekly"];
+
+// The cron runs once a day, so "due" allows some slack for run-time drift
+const DIGEST_INTERVAL_MS = {
+  daily: 20 * 60 * 60 * 1000,
+  weekly: 6.5 * DAY_MS,
+};
+
+// Returns the normalized frequency, or null if the value isn't allowed.
+function normalizeNotifyFrequency(value) {
+  const f = String(value || "").trim().toLowerCase();
+  if (!f) return "immediate";
+  return NOTIFY_FREQUENCIES.includes(f) ? f : null;
+}
+
+function isDigestFrequency(prefs) {
+  return !!prefs && (prefs.frequency === "daily" || prefs.frequency === "weekly");
+}
+
+function isDigestDue(prefs, now = Date.now()) {
+  if (!isDigestFrequency(prefs)) return false;
+  if (!prefs.lastDigestSentAt) return true;
+  return now - prefs.lastDigestSentAt >= DIGEST_INTERVAL_MS[prefs.frequency];
+}
+
+/* ------------------------------ Expiry/renewal ---------------------------- */
+
+const EXPIRY_REMINDER_MS = (Number(process.env.ALERTS_EXPIRY_REMINDER_DAYS) || 3) * DAY_MS;
+// Renew links keep working for a while after the alert has lapsed
+const RENEW_GRACE_MS = 14 * DAY_MS;
+
+function alertExpiresAt(alert) {
+  return alert.setAt + ALERT_LIFETIME_MS;
+}
+
+// Active, inside the reminder window, and not yet reminded for this 30-day term
+// (renewing moves setAt past expiryReminderSentAt, so each term gets one reminder)
+function needsExpiryReminder(alert, now = Date.now()) {
+  if (!isActiveAlert(alert, now)) return false;
+  if (alertExpiresAt(alert) - now > EXPIRY_REMINDER_MS) return false;
+  return !(alert.expiryReminderSentAt >= alert.setAt);
+}
+
+// Confirmed, not cancelled, and not lapsed for longer than the grace period
+function canRenewAlert(alert, now = Date.now()) {
+  if (alert.cancelledAt || isPendingAlert(alert)) return false;
+  return now <= alertExpiresAt(alert) + RENEW_GRACE_MS;
+}
+
+// Unlike an update, renewing keeps the criteria and what we've already emailed about
+function renewAlertChanges(alert, now = Date.now()) {
+  return {
+    setAt: now,
+    renewedAt: now,
+    renewalCount: (Number(alert.renewalCount) || 0) + 1,
+    expiryReminderSentAt: null
+  };
+}
+
+// Cancelled/expired alerts stay visible on My Alerts for a while, then the cron deletes them
+const INACTIVE_ALERT_RETENTION_MS = (Number(process.env.ALERTS_RETENTION_DAYS) || 90) * DAY_MS;
+
+// When an alert stopped being active, or null if it is still live/pending
+function inactiveSince(alert) {
+  if (alert.cancelledAt) return alert.cancelledAt;
+  if (!isPendingAlert(alert)) return alert.setAt + ALERT_LIFETIME_MS;
+  return null;
+}
+
+function isPrunableAlert(alert, now = Date.now()) {
+  const since = inactiveSince(alert);
+  return since != null && since <= now && now - since > INACTIVE_ALERT_RETENTION_MS;
+}
+
+// ---------------------------------------------------------------------------
+// Notification history (shown on My Alerts)
+// ---------------------------------------------------------------------------
+// alert.history: what check-alerts told the user, oldest first, newest MAX_ALERT_HISTORY kept
+//   { at, kind: "match" | "digest", matches, newDeals, droppedDeals, bestPrice, store, channels }
+// alert.lowestPriceSeen: cheapest deal for the shoe (any price) since the alert was set
+//   { price, store, at }
+const MAX_ALERT_HISTORY = 20;
+
+function appendAlertHistory(alert, event) {
+  const history = Array.isArray(alert.history) ? alert.history : [];
+  return [...history, event].slice(-MAX_ALERT_HISTORY);
+}
+
+// ---------------------------------------------------------------------------
+// New alerts (the web form and the Telegram bot go through the same checks)
+// ---------------------------------------------------------------------------
+// Default per-account limit; per-email overrides live in _abuseShared.js (alertLimitFor)
+const MAX_ACTIVE_ALERTS = Number(process.env.ALERTS_MAX_ACTIVE_PER_EMAIL) || 5;
+
+// Free text from forms (also /api/contact, which allows longer messages)
+function sanitizeInput(str, maxLength = 100) {
+  return String(str || "")
+    .replace(/[<>'"]/g, '')
+    .replace(/script/gi, '')
+    .trim()
+    .slice(0, maxLength);
+}
+
+// Email fields are cut to this by sanitizeInput() everywhere else, so longer ones are refused
+const MAX_EMAIL_LENGTH = 100;
+
+// Exactly one plain address. Mail transports take "a@x.org, b@y.org" as a list, so that
+// would mail everyone on it while per-address limits count the whole string as one.
+function isSingleEmailAddress(email) {
+  const clean = String(email || "").trim();
+  return clean.length <= MAX_EMAIL_LENGTH && /^[^\s@,;<>'"]+@[^\s@,;<>'"]+\.[^\s@,;<>'"]+$/.test(clean);
+}
+
+// Validate the mode-specific part of an alert (create + update).
+// Returns { error } or { mode, targetPrice, minPercentOff }.
+function parseAlertCriteria({ mode, targetPrice, minPercentOff }) {
+  const cleanMode = normalizeAlertMode(mode);
+  if (!cleanMode) {
+    return { error: "Mode must be 'target', 'percent', or 'lowest'" };
+  }
+  
+  if (cleanMode === "target") {
+    const price = parseInt(targetPrice);
+    if (!price || price <= 0) {
+      return { error: "Valid target price is required" };
+    }
+    return { mode: cleanMode, targetPrice: price, minPercentOff: null };
+  }
+  
+  if (cleanMode === "percent") {
+    const percent = parseInt(minPercentOff);
+    if (!percent || percent <= 0 || percent > MAX_PERCENT_OFF) {
+      return { error: `Percent off must be between 1 and ${MAX_PERCENT_OFF}` };
+    }
+    return { mode: cleanMode, targetPrice: null, minPercentOff: percent };
+  }
+  
+  return { mode: cleanMode, targetPrice: null, minPercentOff: null };
+}
+
+// Everything about a new alert except store filters and channels.
+// Returns { error } or { fields: { email, brand, model, gender, shoeType, mode, targetPrice, minPercentOff } }.
+function parseNewAlert({ email, brand, model, mode, targetPrice, minPercentOff, gender, shoeType }) {
+  if (!email || !isSingleEmailAddress(email)) {
+    return { error: "Valid email address is required" };
+  }
+  
+  if (!brand || !model) {
+    return { error: "Brand and model are required" };
+  }
+  
+  const criteria = parseAlertCriteria({ mode, targetPrice, minPercentOff });
+  if (criteria.error) return { error: criteria.error };
+  
+  const cleanGender = normalizeAlertGender(gender);
+  if (!cleanGender) {
+    return { error: "Gender must be 'mens', 'womens', or 'both'" };
+  }
+  
+  const cleanShoeType = normalizeAlertShoeType(shoeType);
+  if (cleanShoeType === null) {
+    return { error: "Shoe type must be 'road', 'trail', 'track', or omitted for any" };
+  }
+  
+  return {
+    fields: {
+      email: sanitizeInput(email).toLowerCase(),
+      brand: sanitizeInput(brand),
+      model: sanitizeInput(model),
+      gender: cleanGender,
+      shoeType: cleanShoeType,
+      mode: criteria.mode,
+      targetPrice: criteria.targetPrice,
+      minPercentOff: criteria.minPercentOff,
+    },
+  };
+}
+
+// Alerts that use up one of the account's active alert slots (unconfirmed ones count until they lapse)
+function countsTowardAlertLimit(alert, now = Date.now()) {
+  return !alert.cancelledAt && !isStalePendingAlert(alert, now) && !isExpiredAlert(alert, now);
+}
+
+// A fresh alert record, pending confirmation unless `extra` says otherwise
+function buildNewAlert(fields, extra = {}, now = Date.now()) {
+  return {
+    id: `alert_${now}_${Math.random().toString(36).substr(2, 9)}`,
+    email: fields.email,
+    brand: fields.brand,
+    model: fields.model,
+    gender: fields.gender,
+    shoeType: fields.shoeType,
+    includeStores: fields.includeStores || [],
+    excludeStores: fields.excludeStores || [],
+    mode: fields.mode,
+    targetPrice: fields.targetPrice,
+    minPercentOff: fields.minPercentOff,
+    lastSeenLowPrice: null,
+    notifiedDeals: {},
+    setAt: now,
+    pendingSince: now,
+    confirmedAt: null,
+    cancelledAt: null,
+    lastNotifiedAt: null,
+    renewalCount: 0,
+    expiryReminderSentAt: null,
+    history: [],
+    lowestPriceSeen: null,
+    ...extra
+  };
+}
+
+module.exports = {
+  ALERT_MODES,
+  MAX_PERCENT_OFF,
+  normalizeAlertMode,
+  alertMode,
+  describeAlertCriteria,
+  shortAlertCriteria,
+  ALERT_GENDERS,
+  ALERT_SHOE_TYPES,
+  normalizeAlertGender,
+  normalizeAlertShoeType,
+  genderLabel,
+  shoeTypeLabel,
+  describeStoreFilters,
+  dealPrice,
+  DAY_MS,
+  ALERT_LIFETIME_DAYS,
+  ALERT_LIFETIME_MS,
+  PENDING_ALERT_TTL_MS,
+  isPendingAlert,
+  isStalePendingAlert,
+  isExpiredAlert,
+  isActiveAlert,
+  INACTIVE_ALERT_RETENTION_MS,
+  isPrunableAlert,
+  NOTIFY_FREQUENCIES,
+  normalizeNotifyFrequency,
+  isDigestFrequency,
+  isDigestDue,
+  RENEW_GRACE_MS,
+  alertExpiresAt,
+  needsExpiryReminder,
+  canRenewAlert,
+  renewAlertChanges,
+  MAX_ALERT_HISTORY,
+  appendAlertHistory,
+  MAX_ACTIVE_ALERTS,
+  sanitizeInput,
+  MAX_EMAIL_LENGTH,
+  isSingleEmailAddress,
+  parseAlertCriteria,
+  parseNewAlert,
+  countsTowardAlertLimit,
+  buildNewAlert,
+};
@@ -0,0 +1,363 @@
+// api/_channelsShared.js
+// Non-email notification channels for alerts: a generic JSON webhook (HMAC-signed),
+// a Discord webhook or a Slack incoming webhook.
+//
+// Channels belong to the user's profile (prefs.channels, managed from My Alerts):
+//   { id: "ch_<hex>", type: "webhook" | "discord" | "slack", url, label, secret, createdAt }
+// `secret` is only set for "webhook" channels. An alert can pick which of them it uses
+// with alert.channels, a list of channel ids plus "email", "push" (browser
+// notifications, see _pushShared.js) and "telegram" (the linked chat, see
+// _telegramShared.js); without it an alert goes to email, every profile channel, every
+// push subscription and the Telegram chat.
+//
+// check-alerts builds one payload per notification from its match data (see
+// matchPayload() there) and sendToChannel() formats it for the channel type
+// (formatTelegram() does the same for the Telegram chat):
+//   {
+//     event: "alert.match" | "channel.test",
+//     sentAt,
+//     alert: { id, shoe, brand, model, criteria, mode, gender, shoeType },
+//     totalMatches, lowestPrice,
+//     newDeals: [deal], droppedDeals: [deal],      deal: { title, store, price, originalPrice,
+//     searchUrl                                            previousPrice, url, image }
+//   }
+// Payloads never contain manage/renew links: a Discord or Slack channel is usually
+// shared, and those links give control of the owner's alerts.
+//
+// Webhook deliveries are signed like this (verify with the channel's secret):
+//   X-ShoeBeagle-Timestamp: <unix seconds>
+//   X-ShoeBeagle-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+//
+// Channel URLs are user-supplied and requested from inside our functions, so posts never
+// follow redirects and only connect to public addresses - checked on the address the
+// hostname resolves to at connect time, not just the name that was saved.
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+const CHANNEL_TYPES = ["webhook", "discord", "slack"];
+const MAX_CHANNELS = 5;
+const SEND_TIMEOUT_MS = 10 * 1000;
+// Cards per message - Discord allows 10 embeds, Slack 50 blocks
+const MAX_DEALS_PER_POST = 8;
+
+const TYPE_LABELS = { email: "Email", webhook: "Webhook", discord: "Discord", slack: "Slack" };
+
+const DISCORD_HOSTS = ["discord.com", "discordapp.com", "ptb.discord.com", "canary.discord.com"];
+
+/* ------------------------------- Validation ------------------------------- */
+
+// Loopback, private, link-local (incl. the cloud metadata service at 169.254.169.254),
+// shared/benchmark ranges, multicast/reserved, and IPv4 wrapped in IPv6
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split(".").map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) || (a === 198 && (b === 18 || b === 19));
+  }
+  if (net.isIPv6(address)) {
+    const ip = address.toLowerCase();
+    const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    return ip === "::" || ip === "::1" || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) || ip.startsWith("ff") ||
+      ip.startsWith("::ffff:") || ip.startsWith("64:ff9b:");
+  }
+  return true;
+}
+
+// Early check when a webhook is saved: names and literal addresses that are obviously
+// internal. Sending checks the resolved address again (publicOnlyLookup()).
+function isPrivateHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  if (host === "localhost" || /\.(localhost|local|internal)$/.test(host)) return true;
+  return net.isIP(host) ? isPrivateAddress(host) : false;
+}
+
+// Returns { error } or { url } (normalized)
+function checkChannelUrl(type, rawUrl) {
+  let url;
+  try {
+    url = new URL(String(rawUrl || "").trim());
+  } catch (err) {
+    return { error: "Please enter the full webhook URL" };
+  }
+  if (url.protocol !== "https:") {
+    return { error: "Webhook URLs must start with https://" };
+  }
+
+  if (type === "discord" && !(DISCORD_HOSTS.includes(url.hostname) && url.pathname.startsWith("/api/webhooks/"))) {
+    return { error: "That doesn't look like a Discord webhook URL (https://discord.com/api/webhooks/...)" };
+  }
+  if (type === "slack" && !(url.hostname === "hooks.slack.com" && url.pathname.startsWith("/services/"))) {
+    return { error: "That doesn't look like a Slack incoming webhook URL (https://hooks.slack.com/services/...)" };
+  }
+  if (type === "webhook" && isPrivateHost(url.hostname)) {
+    return { error: "Webhook URLs must point at a public host" };
+  }
+  return { url: url.toString() };
+}
+
+function newChannelId() {
+  return `ch_${crypto.randomBytes(6).toString("hex")}`;
+}
+
+function cleanLabel(label, type) {
+  const text = String(label || "").replace(/[<>]/g, "").trim().slice(0, 40);
+  return text || TYPE_LABELS[type];
+}
+
+/**
+ * Validate the full channel list sent from My Alerts against what's stored.
+ * Entries with a known id keep their id, secret and createdAt; new ones get fresh ones.
+ * @param {Array} input
+ * @param {Array} existing  prefs.channels
+ * @returns {{ channels: Array } | { error: string }}
+ */
+function parseChannels(input, existing = []) {
+  if (!Array.isArray(input)) return { error: "Channels must be a list" };
+  if (input.length > MAX_CHANNELS) return { error: `You can add up to ${MAX_CHANNELS} channels` };
+
+  const known = new Map((existing || []).map(c => [c.id, c]));
+  const channels = [];
+  for (const entry of input) {
+    const type = String((entry && entry.type) || "").trim().toLowerCase();
+    if (!CHANNEL_TYPES.includes(type)) {
+      return { error: "Channel type must be 'webhook', 'discord', or 'slack'" };
+    }
+    const checked = checkChannelUrl(type, entry.url);
+    if (checked.error) return { error: checked.error };
+
+    const previous = entry.id && known.get(entry.id);
+    const keep = previous && previous.type === type ? previous : null;
+    channels.push({
+      id: keep ? keep.id : newChannelId(),
+      type,
+      url: checked.url,
+      label: cleanLabel(entry.label, type),
+      secret: type === "webhook" ? (keep && keep.secret) || `whsec_${crypto.randomBytes(24).toString("hex")}` : null,
+      createdAt: keep ? keep.createdAt : Date.now(),
+    });
+  }
+  return { channels };
+}
+
+// alert.channels from My Alerts: "email", "push" (once the user has a push subscription),
+// "telegram" (once a chat is linked) and/or profile channel ids, at least one.
+// Returns { channels } or { error }.
+function parseAlertChannels(input, prefs = {}) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: "Pick at least one place to send this alert" };
+  }
+  const valid = new Set(["email", ...(prefs.channels || []).map(c => c.id)]);
+  if ((prefs.pushSubscriptions || []).length) valid.add("push");
+  if (prefs.telegram) valid.add("telegram");
+  const ids = [...new Set(input.map(String))];
+  if (ids.some(id => !valid.has(id))) return { error: "Unknown notification channel" };
+  return { channels: ids };
+}
+
+// Where one alert's notifications go:
+//   { email: boolean, channels: [channel], push: [subscription], telegram: prefs.telegram | null }
+// Ids of channels that have since been deleted are ignored; an alert left with
+// nothing (say, push only and every subscription has expired) falls back to email.
+function alertRoute(alert, prefs) {
+  const profileChannels = (prefs && Array.isArray(prefs.channels)) ? prefs.channels : [];
+  const pushSubscriptions = (prefs && Array.isArray(prefs.pushSubscriptions)) ? prefs.pushSubscriptions : [];
+  const linkedChat = (prefs && prefs.telegram) || null;
+  if (!Array.isArray(alert.channels)) {
+    return { email: true, channels: profileChannels, push: pushSubscriptions, telegram: linkedChat };
+  }
+  const email = alert.channels.includes("email");
+  const channels = profileChannels.filter(c => alert.channels.includes(c.id));
+  const push = alert.channels.includes("push") ? pushSubscriptions : [];
+  const telegram = alert.channels.includes("telegram") ? linkedChat : null;
+  return email || channels.length || push.length || telegram
+    ? { email, channels, push, telegram }
+    : { email: true, channels: [], push: [], telegram: null };
+}
+
+/* ------------------------------- Formatters ------------------------------- */
+
+function money(value) {
+  return `$${Number(value).toFixed(2)}`;
+}
+
+function dealLine(deal) {
+  const was = deal.previousPrice != null
+    ? ` (down from ${money(deal.previousPrice)})`
+    : deal.originalPrice != null && deal.originalPrice > deal.price ? ` (was ${money(deal.originalPrice)})` : "";
+  return `${deal.store} · ${money(deal.price)}${was}`;
+}
+
+function headline(payload) {
+  if (payload.event === "channel.test") {
+    return "🐶 Shoe Beagle test message - this channel is set up to receive alerts.";
+  }
+  const { alert } = payload;
+  if (alert.mode === "lowest") {
+    return `📉 New low for ${alert.shoe}: ${money(payload.lowestPrice)}`;
+  }
+  const parts = [];
+  if (payload.newDeals.length) parts.push(`${payload.newDeals.length} new deal${payload.newDeals.length > 1 ? "s" : ""}`);
+  if (payload.droppedDeals.length) parts.push(`${payload.droppedDeals.length} price drop${payload.droppedDeals.length > 1 ? "s" : ""}`);
+  return `🎉 ${parts.join(" + ")} for ${alert.shoe} (${alert.criteria})`;
+}
+
+function postDeals(payload) {
+  return [...(payload.newDeals || []), ...(payload.droppedDeals || [])].slice(0, MAX_DEALS_PER_POST);
+}
+
+// Discord: one embed per deal; mentions are disabled so deal titles can't ping anyone
+function formatDiscord(payload) {
+  const deals = postDeals(payload);
+  return {
+    username: "Shoe Beagle",
+    content: payload.searchUrl ? `${headline(payload)}\nAll ${payload.totalMatches} deals: <${payload.searchUrl}>` : headline(payload),
+    embeds: deals.map(deal => ({
+      title: deal.title.slice(0, 256),
+      ...(deal.url ? { url: deal.url } : {}),
+      description: dealLine(deal),
+      color: deal.previousPrice != null ? 0x28a745 : 0x214478,
+      ...(deal.image ? { thumbnail: { url: deal.image } } : {}),
+    })),
+    allowed_mentions: { parse: [] },
+  };
+}
+
+// Slack mrkdwn treats &, < and > as control characters
+function slackEscape(text) {
+  return String(text ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function formatSlack(payload) {
+  const deals = postDeals(payload);
+  const blocks = [{ type: "section", text: { type: "mrkdwn", text: `*${slackEscape(headline(payload))}*` } }];
+  for (const deal of deals) {
+    const title = deal.url ? `<${deal.url}|${slackEscape(deal.title)}>` : slackEscape(deal.title);
+    blocks.push({
+      type: "section",
+      text: { type: "mrkdwn", text: `*${title}*\n${slackEscape(dealLine(deal))}` },
+      ...(deal.image ? { accessory: { type: "image", image_url: deal.image, alt_text: slackEscape(deal.title) } } : {}),
+    });
+  }
+  if (payload.searchUrl) {
+    blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: `<${payload.searchUrl}|See all ${payload.totalMatches} deals on Shoe Beagle>` }] });
+  }
+  return { text: headline(payload), blocks };
+}
+
+// Telegram (parse_mode HTML): only &, < and > need escaping
+function telegramEscape(text) {
+  return String(text ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function formatTelegram(payload) {
+  const lines = [`<b>${telegramEscape(headline(payload))}</b>`];
+  const deals = postDeals(payload);
+  if (deals.length) lines.push("");
+  for (const deal of deals) {
+    const title = deal.url ? `<a href="${telegramEscape(deal.url).replace(/"/g, "&quot;")}">${telegramEscape(deal.title)}</a>` : telegramEscape(deal.title);
+    lines.push(`• ${title}\n   ${telegramEscape(dealLine(deal))}`);
+  }
+  if (payload.searchUrl) {
+    lines.push("", `<a href="${telegramEscape(payload.searchUrl)}">See all ${payload.totalMatches} deals on Shoe Beagle</a>`);
+  }
+  return lines.join("\n");
+}
+
+// Generic webhook: the payload itself
+function formatWebhook(payload) {
+  return payload;
+}
+
+const FORMATTERS = { webhook: formatWebhook, discord: formatDiscord, slack: formatSlack };
+
+/* --------------------------------- Sending -------------------------------- */
+
+function signatureHeaders(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return {
+    "X-ShoeBeagle-Timestamp": String(timestamp),
+    "X-ShoeBeagle-Signature": `sha256=${signature}`,
+  };
+}
+
+// dns.lookup() for channel posts that refuses private addresses. The socket connects to the
+// address checked here, so a name can't pass the check and then resolve somewhere else.
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some(a => isPrivateAddress(a.address))) {
+      return callback(Object.assign(new Error(`${hostname} does not resolve to a public address`), { code: "EPRIVATEADDRESS" }));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POST a JSON body and resolve with the status code. Redirects aren't followed (a 3xx is a
+// failed delivery) and the response body is never read, so nothing from the other end
+// makes it back to the user.
+function postJson(rawUrl, headers, body) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(rawUrl);
+    const host = url.hostname.replace(/^\[|\]$/g, "");
+    // Literal addresses skip the lookup, so check them here
+    if (net.isIP(host) && isPrivateAddress(host)) {
+      return reject(new Error(`${host} is not a public address`));
+    }
+
+    const client = url.protocol === "http:" ? http : https;
+    const req = client.request(url, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: publicOnlyLookup,
+      timeout: SEND_TIMEOUT_MS,
+    }, res => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on("timeout", () => req.destroy(new Error(`No response after ${SEND_TIMEOUT_MS / 1000}s`)));
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+// Post a payload to one channel; throws with the HTTP status when the channel refuses it
+async function sendToChannel(channel, payload) {
+  const formatter = FORMATTERS[channel.type];
+  if (!formatter) throw new Error(`Unknown channel type "${channel.type}"`);
+
+  const body = JSON.stringify(formatter(payload));
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "ShoeBeagle-Alerts/1.0",
+    ...(channel.type === "webhook" ? { "X-ShoeBeagle-Event": payload.event, ...signatureHeaders(channel.secret, body) } : {}),
+  };
+
+  const status = await postJson(channel.url, headers, body);
+  if (status < 200 || status >= 300) {
+    const err = new Error(`${TYPE_LABELS[channel.type]} responded ${status}`);
+    err.statusCode = status;
+    throw err;
+  }
+  return { status };
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  MAX_CHANNELS,
+  parseChannels,
+  parseAlertChannels,
+  alertRoute,
+  formatDiscord,
+  formatSlack,
+  formatWebhook,
+  formatTelegram,
+  telegramEscape,
+  signatureHeaders,
+  sendToChannel,
+};
@@ -0,0 +1,261 @@
+// api/_deliveryShared.js
+// Delivery log + retry queue for the emails check-alerts sends.
+//
+//   delivery-log/<YYYY-MM-DD>T<time>-<rand>.json   one file per cron run { runAt, entries: [entry, ...] }
+//     entry: { at, kind, channel, alertIds, email, status, messageId, transport, attempt, error }
+//     channel: "email" or a chat/webhook channel type (see _channelsShared.js)
+//     status: "sent" | "failed" (emails: queued for retry) | "gave-up" (out of attempts)
+//   delivery-retries/<15-digit ms>-<rand>.json     one file per message waiting to be resent
+//     { id, kind, to, alertIds, message, ops, attempts, firstFailedAt, nextAttemptAt, lastError }
+//
+// A failed message is queued exactly as rendered (so the user gets that day's deals, not
+// whatever is live when it goes out), together with the alert ops to record once it is
+// delivered. check-alerts resends it once nextAttemptAt has passed, and the message is
+// dropped after MAX_ATTEMPTS or MAX_RETRY_AGE_MS.
+//
+// Retries only go out while check-alerts runs: the daily cron at 09:50 UTC and its
+// ?resume=1 follow-ups (every 5 minutes 10:00-11:55, only while that day's run is
+// unfinished - see vercel.json). So a failed email waits for the next day's run, not a
+// number of hours: nextAttemptAt is a day after the failure less RUN_WINDOW_MS, which puts
+// it before the next 09:50 start wherever in the window it failed. That's one attempt a
+// day - the first and three retries over the following three days.
+//
+// File names carry a random part, so neither the log nor the queue (which both hold
+// addresses) can be fetched from a public blob URL without listing the store.
+//
+// Env vars:
+//   DELIVERY_LOG_RETENTION_DAYS (optional) how long run logs are kept, default 30
+const crypto = require("crypto");
+const { getStorage } = require("./_storageShared");
+
+const LOG_PREFIX = "delivery-log/";
+const RETRY_PREFIX = "delivery-retries/";
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 4;
+const RUN_WINDOW_MS = 3 * HOUR_MS; // 09:50-11:55 UTC, with room to spare
+const RETRY_DELAY_MS = 24 * HOUR_MS - RUN_WINDOW_MS;
+const MAX_RETRY_AGE_MS = 72 * HOUR_MS;
+const LOG_RETENTION_MS = (Number(process.env.DELIVERY_LOG_RETENTION_DAYS) || 30) * 24 * HOUR_MS;
+
+function randomSuffix() {
+  return crypto.randomBytes(4).toString("hex");
+}
+
+function errorMessage(err) {
+  if (!err) return null;
+  // SendGrid puts the useful part in response.body.errors
+  const details = err.response && err.response.body && err.response.body.errors;
+  const text = Array.isArray(details) && details.length
+    ? details.map(d => d.message).join("; ")
+    : err.message || String(err);
+  return String(text).slice(0, 500);
+}
+
+// "jo***@gmail.com" - for the dashboard, which is not behind a login
+function maskEmail(email) {
+  const [user, domain] = String(email || "").split("@");
+  if (!domain) return "***";
+  return `${user.slice(0, 2)}***@${domain}`;
+}
+
+/* ---------------------------------- Log ---------------------------------- */
+
+// Collects one run's entries; save() writes them as a single file
+function createDeliveryLog(now = Date.now()) {
+  const entries = [];
+  return {
+    entries,
+
+    record({ kind, channel = "email", alertIds, email, status, messageId = null, transport = null, attempt = 1, error = null }) {
+      entries.push({ at: Date.now(), kind, channel, alertIds, email, status, messageId, transport, attempt, error: errorMessage(error) });
+    },
+
+    async save() {
+      if (entries.length === 0) return null;
+      const key = `${LOG_PREFIX}${new Date(now).toISOString().replace(/[:.]/g, "-")}-${randomSuffix()}.json`;
+      await getStorage().writeJson(key, { runAt: now, entries });
+      return key;
+    },
+  };
+}
+
+// Log files are named by run time, so old ones can go without being read
+async function pruneDeliveryLog(now = Date.now()) {
+  const storage = getStorage();
+  const cutoff = new Date(now - LOG_RETENTION_MS).toISOString().replace(/[:.]/g, "-");
+  let removed = 0;
+  for (const file of await storage.list(LOG_PREFIX)) {
+    if (file.key.slice(LOG_PREFIX.length) < cutoff) {
+      await storage.remove(file.key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/* --------------------------------- Retries -------------------------------- */
+
+async function queueRetry({ kind, message, alertIds, ops = [], error, now = Date.now() }) {
+  const id = `${String(now).padStart(15, "0")}-${randomSuffix()}`;
+  const item = {
+    id,
+    kind,
+    to: message.to,
+    alertIds,
+    message,
+    ops,
+    attempts: 1,
+    firstFailedAt: now,
+    nextAttemptAt: now + RETRY_DELAY_MS,
+    lastError: errorMessage(error),
+  };
+  await getStorage().writeJson(`${RETRY_PREFIX}${id}.json`, item);
+  return item;
+}
+
+// Every queued message, oldest first, with `due` set for the ones to resend now
+async function listRetries(now = Date.now()) {
+  const storage = getStorage();
+  const files = (await storage.list(RETRY_PREFIX)).filter(f => f.key.endsWith(".json")).sort((a, b) => a.key.localeCompare(b.key));
+  const items = [];
+  for (const file of files) {
+    const found = await storage.readJson(file.key);
+    if (found && found.data) items.push({ ...found.data, due: found.data.nextAttemptAt <= now });
+  }
+  return items;
+}
+
+async function completeRetry(item) {
+  await getStorage().remove(`${RETRY_PREFIX}${item.id}.json`);
+}
+
+// After another failed attempt: returns "retry" (rescheduled) or "gave-up" (removed)
+async function rescheduleRetry(item, error, now = Date.now()) {
+  const attempts = item.attempts + 1;
+  if (attempts >= MAX_ATTEMPTS || now - item.firstFailedAt >= MAX_RETRY_AGE_MS) {
+    await completeRetry(item);
+    return "gave-up";
+  }
+  const { due, ...stored } = item;
+  await getStorage().writeJson(`${RETRY_PREFIX}${item.id}.json`, {
+    ...stored,
+    attempts,
+    nextAttemptAt: now + RETRY_DELAY_MS,
+    lastError: errorMessage(error),
+  });
+  return "retry";
+}
+
+/* ------------------------------- Per email -------------------------------- */
+
+const sameEmail = (a, b) => String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+// Everything still logged or queued for one address (data export), newest entries first
+async function listDeliveriesForEmail(email, now = Date.now()) {
+  const storage = getStorage();
+  const entries = [];
+  for (const file of await storage.list(LOG_PREFIX)) {
+    const found = await storage.readJson(file.key);
+    for (const entry of (found && found.data && found.data.entries) || []) {
+      if (sameEmail(entry.email, email)) entries.push(entry);
+    }
+  }
+
+  const retries = (await listRetries(now)).filter(item => sameEmail(item.to, email));
+  return {
+    entries: entries.sort((a, b) => b.at - a.at),
+    retries: retries.map(item => ({
+      kind: item.kind,
+      alertIds: item.alertIds,
+      attempts: item.attempts,
+      firstFailedAt: item.firstFailedAt,
+      nextAttemptAt: item.nextAttemptAt,
+      lastError: item.lastError,
+    })),
+  };
+}
+
+// Drop one address from every run log (files left empty are deleted) and the retry queue.
+// Run logs are never written again after their run, so rewriting them can't lose entries.
+async function eraseDeliveriesForEmail(email, now = Date.now()) {
+  const storage = getStorage();
+  let removed = 0;
+  for (const file of await storage.list(LOG_PREFIX)) {
+    const found = await storage.readJson(file.key);
+    const entries = (found && found.data && found.data.entries) || [];
+    const kept = entries.filter(entry => !sameEmail(entry.email, email));
+    if (kept.length === entries.length) continue;
+
+    removed += entries.length - kept.length;
+    if (kept.length === 0) await storage.remove(file.key);
+    else await storage.writeJson(file.key, { ...found.data, entries: kept });
+  }
+
+  for (const item of await listRetries(now)) {
+    if (sameEmail(item.to, email)) {
+      await completeRetry(item);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/* -------------------------------- Dashboard ------------------------------- */
+
+// Totals for the last `days` days plus the most recent failures. Without `detail` nothing
+// about the recipient is included (no address, alert ids or provider error text); with it
+// addresses are masked.
+async function loadDeliverySummary({ days = 7, limit = 25, detail = false, now = Date.now() } = {}) {
+  const storage = getStorage();
+  const since = new Date(now - days * 24 * HOUR_MS).toISOString().replace(/[:.]/g, "-");
+  const files = (await storage.list(LOG_PREFIX))
+    .filter(f => f.key.slice(LOG_PREFIX.length) >= since)
+    .sort((a, b) => b.key.localeCompare(a.key));
+
+  const totals = { sent: 0, failed: 0, gaveUp: 0, retried: 0 };
+  const failures = [];
+  for (const file of files) {
+    const found = await storage.readJson(file.key);
+    for (const entry of (found && found.data && found.data.entries) || []) {
+      if (entry.status === "sent") {
+        totals.sent++;
+        if (entry.attempt > 1) totals.retried++;
+      } else {
+        if (entry.status === "gave-up") totals.gaveUp++;
+        else totals.failed++;
+        failures.push(detail
+          ? { ...entry, email: maskEmail(entry.email) }
+          : { at: entry.at, kind: entry.kind, channel: entry.channel, status: entry.status, attempt: entry.attempt });
+      }
+    }
+  }
+
+  const retries = await listRetries(now);
+  return {
+    days,
+    totals,
+    recentFailures: failures.sort((a, b) => b.at - a.at).slice(0, limit),
+    detail,
+    retryQueue: retries.map(item => ({
+      kind: item.kind,
+      attempts: item.attempts,
+      firstFailedAt: item.firstFailedAt,
+      nextAttemptAt: item.nextAttemptAt,
+      ...(detail ? { alertIds: item.alertIds, email: maskEmail(item.to), lastError: item.lastError } : {}),
+    })),
+  };
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  createDeliveryLog,
+  pruneDeliveryLog,
+  queueRetry,
+  listRetries,
+  completeRetry,
+  rescheduleRetry,
+  listDeliveriesForEmail,
+  eraseDeliveriesForEmail,
+  loadDeliverySummary,
+};
@@ -0,0 +1,154 @@
+// api/_emailShared.js
+// Shared building blocks for every email we send (alert confirmations, manage links,
+// deal matches, digests, expiry reminders).
+//
+// Templates (the alert ones are in _alertEmailsShared.js, snapshot-tested by
+// test/emails.test.js) build their body HTML with the helpers below and hand it to renderEmail(),
+// which wraps it in the common layout (logo, card, footer + unsubscribe link) and
+// generates the text/plain part from the same HTML:
+//
+//   const { html, text } = renderEmail({ email, heading: "...", body: `<p>${escapeHtml(x)}</p>` });
+//   await getMailer().send({ to, from, subject, html, text, headers });
+//
+// Anything that didn't come from this codebase - deal titles, store names, image/product
+// URLs from the scrapers, alert fields - must go through escapeHtml() / safeUrl().
+const { SITE_URL, buildUnsubscribeUrl } = require("./_tokenShared");
+
+const LOGO_URL = `${SITE_URL}/images/email_logo.png`;
+
+const COLORS = {
+  brand: "#214478",
+  go: "#28a745",
+  background: "#f4ede3",
+  muted: "#666",
+  rule: "#ddd",
+};
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+// Escaped URL for href/src, or "" for anything that isn't plain http(s)
+// (javascript:, data:, relative junk from a scraper).
+function safeUrl(url) {
+  const value = String(url || "").trim();
+  if (!/^https?:\/\//i.test(value)) return "";
+  return escapeHtml(value);
+}
+
+// Call-to-action link styled as a button. `href` must already be safe (safeUrl or our own URL).
+function button(href, label, { color = COLORS.brand, large = false } = {}) {
+  const size = large
+    ? "padding: 15px 40px; font-size: 16px;"
+    : "padding: 10px 25px; font-size: 14px;";
+  return `<a href="${href}" style="display: inline-block; ${size} background: ${color}; color: white; text-decoration: none; border-radius: 5px; font-weight: bold;">${escapeHtml(label)}</a>`;
+}
+
+// "Manage My Alerts" block most emails end with. `prompt` is plain text.
+function manageSection(manageUrl, prompt) {
+  return `
+      <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid ${COLORS.rule};">
+        <p style="font-size: 14px; color: ${COLORS.muted}; margin-bottom: 15px;">${escapeHtml(prompt)}</p>
+        ${button(manageUrl, "Manage My Alerts")}
+      </div>`;
+}
+
+/**
+ * Wrap a template body in the shared layout and generate its text part.
+ * @param {Object} opts
+ * @param {string} opts.email       recipient, for the unsubscribe link (omit to leave it out)
+ * @param {string} opts.heading     plain-text title at the top of the card
+ * @param {string} opts.body        body HTML (already escaped)
+ * @param {string[]} [opts.footer]  extra small-print lines (HTML, already escaped)
+ * @returns {{ html: string, text: string }}
+ */
+function renderEmail({ email, heading, body, footer = [] }) {
+  const footerLines = [...footer];
+  if (email) {
+    footerLines.push(`Don't want these emails? <a href="${escapeHtml(buildUnsubscribeUrl(email))}" style="color: ${COLORS.muted};">Unsubscribe from all Shoe Beagle emails</a>`);
+  }
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: ${COLORS.background};">
+  <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+    <div style="background: white; border-radius: 10px; padding: 30px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+      <div style="text-align: center; margin-bottom: 30px;">
+        <img src="${LOGO_URL}" alt="Shoe Beagle" style="max-width: 300px; height: auto;">
+      </div>
+
+      <h1 style="color: ${COLORS.brand}; margin: 0 0 20px; font-size: 24px;">${escapeHtml(heading)}</h1>
+      ${body}
+      ${footerLines.length ? `
+      <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid ${COLORS.rule}; font-size: 12px; color: ${COLORS.muted};">
+        ${footerLines.map(line => `<p style="margin: 5px 0;">${line}</p>`).join("\n        ")}
+      </div>` : ""}
+    </div>
+  </div>
+</body>
+</html>
+  `.trim();
+
+  return { html, text: htmlToText(html) };
+}
+
+/* ------------------------------ text/plain -------------------------------- */
+
+const NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'", apos: "'", nbsp: " ", middot: "·" };
+
+function decodeEntities(str) {
+  return str.replace(/&(#x[0-9a-f]+|#\d+|[a-z0-9#]+);/gi, (match, name) => {
+    const key = name.toLowerCase();
+    if (key in NAMED_ENTITIES) return NAMED_ENTITIES[key];
+    if (key.startsWith("#x")) return String.fromCodePoint(parseInt(key.slice(2), 16));
+    if (key.startsWith("#")) return String.fromCodePoint(parseInt(key.slice(1), 10));
+    return match;
+  });
+}
+
+// Good-enough HTML -> text for our own templates: whitespace collapses like it does in a
+// browser, links become "label: url", block elements and table rows become line breaks,
+// images and styling are dropped.
+function htmlToText(html) {
+  const text = String(html || "")
+    .replace(/<head[\s\S]*?<\/head>/gi, "")
+    .replace(/<(style|script)[\s\S]*?<\/\1>/gi, "")
+    .replace(/<img[^>]*>/gi, "")
+    .replace(/\s+/g, " ")
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const url = decodeEntities(href);
+      const words = label.replace(/<[^>]+>/g, "").trim();
+      if (!url) return words;
+      return !words || decodeEntities(words) === url ? url : `${words}: ${url}`;
+    })
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/tr>/gi, "\n")
+    .replace(/<\/(td|th)>/gi, " | ")
+    .replace(/<\/(p|div|h[1-6]|table|li)>/gi, "\n\n")
+    .replace(/<li[^>]*>/gi, "- ")
+    .replace(/<[^>]+>/g, "");
+
+  return decodeEntities(text)
+    .split("\n")
+    .map(line => line.replace(/[ \t]+/g, " ").replace(/\s*\|\s*$/, "").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+module.exports = {
+  COLORS,
+  escapeHtml,
+  safeUrl,
+  button,
+  manageSection,
+  renderEmail,
+  htmlToText,
+};
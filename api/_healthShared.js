@@ -1,9 +1,9 @@
 // api/_healthShared.js       MAYBE NOT NEEDED
-const { put } = require("@vercel/blob");
+const { getStorage } = require("./_storageShared");
 
 /**
  * Write a health record for a scraper run.
- * Use addRandomSuffix:false so the URL stays constant.
+ * Written through the storage layer so the URL stays constant.
  */
 async function writeScraperHealth({
   healthFileName,        // e.g. "health-holabird-mens-road.json"
@@ -26,10 +26,7 @@ async function writeScraperHealth({
     ...extra,
   };
 
-  const blob = await put(healthFileName, JSON.stringify(payload, null, 2), {
-    access: "public",
-    addRandomSuffix: false,
-  });
+  const blob = await getStorage().writeJson(healthFileName, payload, { pretty: true });
 
   return { payload, url: blob.url };
 }
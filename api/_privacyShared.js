@@ -0,0 +1,72 @@
+// api/_privacyShared.js
+// Data export and erasure for one address ("Download my data" / "Erase my data" on
+// My Alerts, POST /api/alerts action "export" / "erase" with a manage token).
+//
+// Everything we keep about an address:
+//   alerts + prefs         alert-shards/<shard>/, alert-ids/, alert-accounts/   (_alertRepoShared.js)
+//   notification history   delivery-log/, delivery-retries/                    (_deliveryShared.js)
+//   Telegram chats         telegram-chats/<hash>.json                          (_telegramShared.js)
+//   unsubscribe record     suppressions/<hash>.json                            (_suppressionShared.js)
+// Rate-limit counters (_abuseShared.js) are keyed by a hash of the IP / domain / address
+// and hold only a count.
+//
+// Erasure removes all of it except the suppression record: the caller suppresses the
+// address afterwards, so nothing is ever sent to it again (and that has to be remembered).
+const { getNotificationPrefs, listAlertsByEmail, eraseAlertData } = require("./_alertRepoShared");
+const { listDeliveriesForEmail, eraseDeliveriesForEmail } = require("./_deliveryShared");
+const { listChatsForEmail, removeChat } = require("./_telegramShared");
+const { publicPushSubscriptions } = require("./_pushShared");
+const { getSuppression } = require("./_suppressionShared");
+
+/**
+ * Everything stored for `email`, as one JSON document.
+ * @returns {Promise<Object>}
+ */
+async function exportUserData(email, now = Date.now()) {
+  const cleanEmail = String(email || "").trim().toLowerCase();
+  const [alerts, prefs, deliveries, chats, suppression] = await Promise.all([
+    listAlertsByEmail(cleanEmail),
+    getNotificationPrefs(cleanEmail),
+    listDeliveriesForEmail(cleanEmail, now),
+    listChatsForEmail(cleanEmail),
+    getSuppression(cleanEmail),
+  ]);
+
+  return {
+    email: cleanEmail,
+    exportedAt: new Date(now).toISOString(),
+    alerts: alerts.sort((a, b) => (a.setAt || 0) - (b.setAt || 0)),
+    preferences: {
+      frequency: prefs.frequency,
+      lastDigestSentAt: prefs.lastDigestSentAt,
+      channels: prefs.channels || [],
+      pushSubscriptions: publicPushSubscriptions(prefs.pushSubscriptions),
+      telegram: prefs.telegram || null,
+    },
+    telegramChats: chats.map(({ chatId, username, linkedAt, linkRequestedAt }) => ({ chatId, username, linkedAt, linkRequestedAt })),
+    notifications: deliveries.entries.map(({ email: _email, ...entry }) => entry),
+    pendingRetries: deliveries.retries,
+    unsubscribed: suppression ? { reason: suppression.reason, suppressedAt: suppression.suppressedAt } : null,
+  };
+}
+
+/**
+ * Delete everything stored for `email` (not the suppression record, see above).
+ * @returns {Promise<{ alerts: number, notifications: number, telegramChats: number }>}
+ */
+async function eraseUserData(email, now = Date.now()) {
+  const cleanEmail = String(email || "").trim().toLowerCase();
+
+  const alerts = await eraseAlertData(cleanEmail);
+  const notifications = await eraseDeliveriesForEmail(cleanEmail, now);
+
+  const chats = await listChatsForEmail(cleanEmail);
+  for (const chat of chats) await removeChat(chat.chatId);
+
+  return { alerts, notifications, telegramChats: chats.length };
+}
+
+module.exports = {
+  exportUserData,
+  eraseUserData,
+};
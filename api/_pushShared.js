@@ -0,0 +1,152 @@
+// api/_pushShared.js
+// Web Push (VAPID) notifications for alerts, as an alternative or addition to email.
+//
+// Browser subscriptions live in the user's prefs (see _alertRepoShared.js):
+//   prefs.pushSubscriptions: [{ id: "push_<hash>", endpoint, keys: { p256dh, auth }, label, createdAt }]
+// An alert uses them when "push" is in alert.channels (or it has no channel list at all,
+// see alertRoute() in _channelsShared.js).
+//
+// A subscription sent along with a new alert waits on that pending alert
+// (alert.pendingPushSubscription) and only joins prefs once the alert is confirmed from
+// the email link - otherwise anyone could point someone else's alerts at their browser.
+// From My Alerts (manage token) subscriptions are added straight away.
+//
+// /sw.js shows each push: { title, body, url, tag, icon } and opens `url` on click.
+// Subscriptions the push service reports as gone (404/410) are removed by check-alerts.
+//
+// The endpoint comes from the browser, so only the big push services' hosts are accepted
+// (PUSH_SERVICE_HOSTS) - anything else would let the cron POST to an address of the
+// caller's choosing, like the webhook checks in _channelsShared.js guard against.
+//
+// Env vars:
+//   VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY   once, from: npx web-push generate-vapid-keys
+//   VAPID_SUBJECT                          contact for push services, default the site URL
+const crypto = require("crypto");
+const { SITE_URL } = require("./_tokenShared");
+
+const MAX_SUBSCRIPTIONS = 10;
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+// Chrome/Edge (FCM), Firefox (autopush), Safari (APNs), Windows (WNS) - exact host or subdomain
+const PUSH_SERVICE_HOSTS = [
+  "fcm.googleapis.com",
+  "android.googleapis.com",
+  "push.services.mozilla.com",
+  "push.apple.com",
+  "notify.windows.com",
+];
+
+function isPushConfigured() {
+  return !!(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+}
+
+function getVapidPublicKey() {
+  return process.env.VAPID_PUBLIC_KEY || null;
+}
+
+let webpush = null;
+
+function getWebPush() {
+  if (webpush) return webpush;
+  if (!isPushConfigured()) throw new Error("VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY are not set");
+  webpush = require("web-push");
+  webpush.setVapidDetails(process.env.VAPID_SUBJECT || SITE_URL, process.env.VAPID_PUBLIC_KEY, process.env.VAPID_PRIVATE_KEY);
+  return webpush;
+}
+
+// "Chrome on Android" - just enough to tell devices apart on My Alerts
+function deviceLabel(userAgent) {
+  const ua = String(userAgent || "");
+  const browser = /Edg\//.test(ua) ? "Edge"
+    : /Firefox\//.test(ua) ? "Firefox"
+    : /Chrome\//.test(ua) ? "Chrome"
+    : /Safari\//.test(ua) ? "Safari"
+    : "Browser";
+  const os = /Android/.test(ua) ? "Android"
+    : /iPhone|iPad/.test(ua) ? "iOS"
+    : /Mac OS X/.test(ua) ? "macOS"
+    : /Windows/.test(ua) ? "Windows"
+    : /Linux/.test(ua) ? "Linux"
+    : "";
+  return os ? `${browser} on ${os}` : browser;
+}
+
+const BASE64URL = /^[A-Za-z0-9_-]+=*$/;
+
+function isPushServiceUrl(endpoint) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (err) {
+    return false;
+  }
+  const host = url.hostname.toLowerCase();
+  return url.protocol === "https:" && !url.port && !url.username && !url.password &&
+    PUSH_SERVICE_HOSTS.some(h => host === h || host.endsWith(`.${h}`));
+}
+
+/**
+ * Validate a PushSubscription.toJSON() from the browser.
+ * @returns {{ subscription: Object } | { error: string }}
+ */
+function parsePushSubscription(input, userAgent) {
+  const endpoint = String((input && input.endpoint) || "").trim();
+  const keys = (input && input.keys) || {};
+  if (endpoint.length > 1000 || !isPushServiceUrl(endpoint)) {
+    return { error: "Invalid push subscription" };
+  }
+  const p256dh = String(keys.p256dh || "");
+  const auth = String(keys.auth || "");
+  if (!BASE64URL.test(p256dh) || !BASE64URL.test(auth) || p256dh.length > 200 || auth.length > 100) {
+    return { error: "Invalid push subscription" };
+  }
+
+  return {
+    subscription: {
+      id: `push_${crypto.createHash("sha256").update(endpoint).digest("hex").slice(0, 16)}`,
+      endpoint,
+      keys: { p256dh, auth },
+      label: deviceLabel(userAgent),
+      createdAt: Date.now(),
+    },
+  };
+}
+
+// Add (or refresh) one subscription, keeping the newest MAX_SUBSCRIPTIONS
+function addPushSubscription(existing, subscription) {
+  const others = (existing || []).filter(s => s.id !== subscription.id);
+  return [...others, subscription].slice(-MAX_SUBSCRIPTIONS);
+}
+
+// What My Alerts gets back - no keys
+function publicPushSubscriptions(subscriptions) {
+  return (subscriptions || []).map(({ id, endpoint, label, createdAt }) => ({ id, endpoint, label, createdAt }));
+}
+
+// Send one notification; throws (with statusCode for push service errors)
+async function sendPush(subscription, payload) {
+  if (!isPushServiceUrl(subscription.endpoint)) {
+    throw new Error("Push endpoint isn't a known push service");
+  }
+  const result = await getWebPush().sendNotification(
+    { endpoint: subscription.endpoint, keys: subscription.keys },
+    JSON.stringify(payload),
+    { TTL: PUSH_TTL_SECONDS, urgency: "normal" }
+  );
+  return { status: result.statusCode };
+}
+
+// The browser unsubscribed or the subscription expired - it will never work again
+function isExpiredSubscription(err) {
+  return !!err && (err.statusCode === 404 || err.statusCode === 410);
+}
+
+module.exports = {
+  isPushConfigured,
+  getVapidPublicKey,
+  parsePushSubscription,
+  addPushSubscription,
+  publicPushSubscriptions,
+  sendPush,
+  isExpiredSubscription,
+};
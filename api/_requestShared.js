@@ -0,0 +1,18 @@
+// api/_requestShared.js
+// Helpers for reading the incoming request, shared by the API routes (the rate limits in
+// /api/search, /api/alerts and /api/contact all key on clientIp()).
+
+// First hop of x-forwarded-for (Vercel puts the client there)
+function clientIp(req) {
+  return (
+    req.headers["x-forwarded-for"]?.split(",")[0]?.trim() ||
+    req.headers["x-real-ip"] ||
+    req.connection?.remoteAddress ||
+    req.socket?.remoteAddress ||
+    "unknown"
+  );
+}
+
+module.exports = {
+  clientIp,
+};
@@ -0,0 +1,243 @@
+// api/_searchShared.js
+// Tokenizer + deal scorer shared by /api/search and the Telegram bot's /search (ranking)
+// and the check-alerts cron (alert matching), so "what counts as a match" is defined in one place.
+
+/* ----------------------------- Normalization ----------------------------- */
+
+function normalizeSpaces(s) {
+  return String(s || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // strip accents
+    .replace(/[^a-z0-9\s]+/g, " ")   // punctuation -> space
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function squash(s) {
+  return normalizeSpaces(s).replace(/\s+/g, ""); // remove spaces too
+}
+
+function tokenize(s) {
+  const ns = normalizeSpaces(s);
+  return ns ? ns.split(" ").filter(Boolean) : [];
+}
+
+// Filter out pure-noise tokens. Keep numbers, keep >=2 char words.
+function isMeaningfulToken(t) {
+  if (!t) return false;
+  if (/^\d+$/.test(t)) return true;
+  return t.length >= 2;
+}
+
+// For "query=" mode: if user types one glued chunk (gt2000) we also try to infer tokens.
+function queryTokensFromRaw(rawQuery) {
+  const ns = normalizeSpaces(rawQuery);
+  const tokens = tokenize(ns).filter(isMeaningfulToken);
+
+  // If user typed something like "gt2000" (no spaces), add a split hint:
+  // - add number runs (2000)
+  // - add leading letters (gt)
+  const squashedQuery = squash(rawQuery);
+  if (tokens.length === 1 && squashedQuery.length >= 4 && /^[a-z0-9]+$/.test(squashedQuery)) {
+    const nums = squashedQuery.match(/\d+/g) || [];
+    const letters = squashedQuery.match(/[a-z]+/g) || [];
+    // Only add short letter chunks (gt) if present
+    const extras = [
+      ...letters.filter(x => x.length >= 2 && x.length <= 6),
+      ...nums.filter(x => x.length >= 2),
+    ];
+    return Array.from(new Set([...tokens, ...extras])).filter(isMeaningfulToken);
+  }
+
+  return tokens;
+}
+
+/* ------------------------------ Scoring --------------------------------- */
+
+// Build a searchable index for each deal once per request (cheap and clear).
+function buildIndex(deal) {
+  const brand = deal.brand || "";
+  const model = deal.model || "";
+  const title = deal.title || "";
+
+  const combined = `${brand} ${model} ${title}`;
+  const tokens = tokenize(combined);
+  const tokenSet = new Set(tokens);
+  const squashedCombined = squash(combined);
+
+  return { tokenSet, tokens, squashedCombined, brand, model, title };
+}
+
+// Score how well this deal matches the desired brand/model/query tokens.
+// Higher score = better rank.
+function scoreDeal({ brandTokens, modelTokens, queryTokens }, idx) {
+  let score = 0;
+
+  // Helpers
+  const hasExact = (t) => idx.tokenSet.has(t);
+  const hasPrefix = (t) => idx.tokens.some(dt => dt.startsWith(t));
+  const hasSquashed = (qSquashed) => idx.squashedCombined.includes(qSquashed);
+
+  // --- Brand field (if provided) should be relatively strong ---
+  if (brandTokens.length) {
+    let brandHits = 0;
+
+    for (const t of brandTokens) {
+      if (hasExact(t)) { score += 20; brandHits++; continue; }
+      if (hasPrefix(t)) { score += 12; brandHits++; continue; } // asic -> asics
+    }
+
+    // Require at least one brand hit if brand was provided (prevents weird matches)
+    if (brandHits === 0) return 0;
+
+    // Bonus if most brand tokens hit
+    score += Math.floor((brandHits / brandTokens.length) * 10);
+  }
+
+  // --- Model field (if provided) strong, allow numbers + squashed matching ---
+  if (modelTokens.length) {
+    let modelHits = 0;
+
+    const modelSquashed = squash(modelTokens.join(" "));
+    if (modelSquashed && modelSquashed.length >= 4 && hasSquashed(modelSquashed)) {
+      score += 25; // gt2000 matches GT-2000 regardless of separators
+      modelHits++;
+    }
+
+    for (const t of modelTokens) {
+      if (hasExact(t)) { score += /^\d+$/.test(t) ? 18 : 14; modelHits++; continue; }
+      if (hasPrefix(t)) { score += 9; modelHits++; continue; }
+      // numeric partial: "200" helps "2000" a bit, but only if token length >=2
+      if (/^\d+$/.test(t) && t.length >= 2 && idx.tokens.some(dt => /^\d+$/.test(dt) && dt.startsWith(t))) {
+        score += 7;
+        modelHits++;
+        continue;
+      }
+    }
+
+    // Require at least one model hit if model was provided
+    if (modelHits === 0) return 0;
+
+    score += Math.floor((modelHits / modelTokens.length) * 10);
+  }
+
+  // --- Free-text query tokens (if provided) moderate weight, order-independent ---
+  if (queryTokens.length) {
+    let hits = 0;
+
+    // Squashed full-query match can boost for glued user input like "gt2000"
+    const qSquashed = squash(queryTokens.join(" "));
+    if (qSquashed && qSquashed.length >= 4 && hasSquashed(qSquashed)) {
+      score += 18;
+      hits += 1;
+    }
+
+    for (const t of queryTokens) {
+      if (hasExact(t)) { score += /^\d+$/.test(t) ? 12 : 9; hits++; continue; }
+      if (hasPrefix(t)) { score += 6; hits++; continue; }
+    }
+
+    // For query-only searches, require a minimum hit rate
+    // (prevents a single tiny token from matching everything)
+    if (!brandTokens.length && !modelTokens.length) {
+      const required = queryTokens.length === 1 ? 1 : Math.ceil(queryTokens.length * 0.6);
+      if (hits < required) return 0;
+    }
+
+    // Bonus for coverage
+    score += Math.floor((hits / queryTokens.length) * 12);
+  }
+
+  // Tie-breaker: slight preference if model appears (more specific)
+  if (idx.model && idx.model.trim()) score += 2;
+
+  return score;
+}
+
+// Deals that match at all, best first: [{ deal, score }] (used by /api/search and the Telegram bot)
+function rankDeals(deals, desired, limit = 24) {
+  const scored = [];
+  for (const deal of deals) {
+    const s = scoreDeal(desired, buildIndex(deal));
+    if (s > 0) scored.push({ deal, score: s });
+  }
+
+  scored.sort((a, b) => b.score - a.score);
+  return scored.slice(0, limit);
+}
+
+/* --------------------------- Alert matching ----------------------------- */
+
+// Alerts need a stricter answer than search ranking: a yes/no "is this the shoe
+// the runner asked for". On top of scoreDeal() we require:
+//   - a minimum score (filters weak prefix-only hits)
+//   - every alert model token present in the deal's model ("Glycerin GTS" must not match "Adrenaline GTS"),
+//     version numbers exactly ("Pegasus 4" must not match "Pegasus 41")
+//   - no variant qualifier on the deal the alert didn't ask for ("Ghost" must not match "Ghost Max")
+const ALERT_MIN_SCORE = 40;
+
+const VARIANT_TOKENS = new Set([
+  "max", "plus", "elite", "pro", "speed", "sky", "edge", "luxe", "sl", "lite",
+  "gts", "gtx", "trail", "tr", "xc", "spike", "spikes",
+]);
+
+function modelTokensForDeal(deal) {
+  const model = deal.model && String(deal.model).trim() ? deal.model : deal.title;
+  return tokenize(model);
+}
+
+// Words may prefix-match ("clif" -> "clifton"), but anything with a digit is a version and
+// must match whole - on its own or glued across the deal's tokens ("gt2000" -> "GT-2000",
+// "1080" -> "1080v14") - so "Pegasus 4" is not "Pegasus 41" and "gt200" is not "GT-2000"
+function versionTokenHit(t, dealModelTokens) {
+  for (let i = 0; i < dealModelTokens.length; i++) {
+    let run = "";
+    for (let j = i; j < dealModelTokens.length && run.length < t.length; j++) run += dealModelTokens[j];
+    if (run.startsWith(t) && !/\d/.test(run.charAt(t.length))) return true;
+  }
+  return false;
+}
+
+function modelTokenHit(t, dealModelTokens, dealModelSquashed) {
+  if (/\d/.test(t)) return versionTokenHit(t, dealModelTokens);
+  return dealModelTokens.some(dt => dt.startsWith(t)) || (t.length >= 4 && dealModelSquashed.includes(t));
+}
+
+function scoreAlertMatch({ brand, model }, deal) {
+  const brandTokens = tokenize(brand).filter(isMeaningfulToken);
+  const modelTokens = tokenize(model).filter(isMeaningfulToken);
+
+  const score = scoreDeal({ brandTokens, modelTokens, queryTokens: [] }, buildIndex(deal));
+  if (score < ALERT_MIN_SCORE) return 0;
+
+  const dealModelTokens = modelTokensForDeal(deal);
+  const dealModelSquashed = dealModelTokens.join("");
+
+  const allModelTokensHit = modelTokens.every(t => modelTokenHit(t, dealModelTokens, dealModelSquashed));
+  if (!allModelTokensHit) return 0;
+
+  const modelTokenSet = new Set(modelTokens);
+  const unwantedVariant = dealModelTokens.some(dt => VARIANT_TOKENS.has(dt) && !modelTokenSet.has(dt));
+  if (unwantedVariant) return 0;
+
+  return score;
+}
+
+function dealMatchesAlertName(alert, deal) {
+  return scoreAlertMatch(alert, deal) > 0;
+}
+
+module.exports = {
+  normalizeSpaces,
+  squash,
+  tokenize,
+  isMeaningfulToken,
+  queryTokensFromRaw,
+  buildIndex,
+  scoreDeal,
+  rankDeals,
+  ALERT_MIN_SCORE,
+  scoreAlertMatch,
+  dealMatchesAlertName,
+};
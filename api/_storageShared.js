@@ -0,0 +1,281 @@
+// api/_storageShared.js
+// Storage layer for every JSON file the pipeline reads/writes
+// (deals.json, alerts.json, stats.json, scraper-data.json, scraper outputs, health files).
+//
+// Two backends with the same interface:
+//   blob  -> Vercel Blob (production default). Public URLs, addRandomSuffix:false.
+//   local -> plain files in a directory, so scrapers -> merge-deals -> search -> check-alerts
+//            can run and be tested offline.
+//
+// Interface (all async):
+//   readJson(key, { cached })              -> { data, version, url } | null when the key doesn't exist
+//   writeJson(key, data, { pretty, ifVersion }) -> { url, version }
+//   writeRaw(key, body, { contentType })   -> { url, version }   (debug html/png dumps)
+//   list(prefix)                           -> [{ key, url, version, size }]
+//   remove(key)                            -> void
+//
+// `version` is an opaque string (ETag-like). Passing { ifVersion } to writeJson makes
+// the write fail with StorageConflictError if the stored version changed since it was read.
+// Use { ifVersion: null } to require that the key does not exist yet (create-only).
+//   - local: content hash, checked and written while holding a <file>.lock
+//   - blob:  the blob's ETag, sent as ifMatch (or allowOverwrite:false for create-only), so
+//            Vercel Blob itself refuses the write
+//
+// Reads come from the origin, not the CDN: a cached copy can be up to a minute old, and a
+// version read with stale data would let a conditional write overwrite a change it never
+// saw. { cached: true } is for files only the scrapers write and nothing writes back
+// conditionally (deals.json for search and the bot) - the local backend ignores it.
+//
+// Blob URLs are public: anyone who can work out a key can fetch the file. Keys derived from
+// personal data (email, IP, Telegram chat id) therefore use hashKey(), an HMAC with
+// STORAGE_KEY_SECRET - a plain hash of an address could be computed by anyone who knows it.
+//
+// Env vars:
+//   STORAGE_BACKEND     "blob" (default) | "local"
+//   LOCAL_STORAGE_DIR   directory for the local backend, default ./.data
+//   STORAGE_KEY_SECRET  (required for per-user files) HMAC key for hashKey(). Changing it
+//                       orphans every per-user file
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+class StorageConflictError extends Error {
+  constructor(key, expected, actual) {
+    super(`Storage conflict on ${key}: expected version ${expected}, found ${actual}`);
+    this.name = "StorageConflictError";
+    this.key = key;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+function serialize(data, pretty) {
+  return pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data);
+}
+
+function checkVersion(key, ifVersion, currentVersion) {
+  if (ifVersion === undefined) return;
+  if ((ifVersion || null) !== (currentVersion || null)) {
+    throw new StorageConflictError(key, ifVersion, currentVersion);
+  }
+}
+
+// Storage key component for a personal value: not guessable without STORAGE_KEY_SECRET
+function hashKey(value) {
+  const secret = process.env.STORAGE_KEY_SECRET;
+  if (!secret) throw new Error("STORAGE_KEY_SECRET is not configured");
+  return crypto.createHmac("sha256", secret).update(String(value)).digest("hex").slice(0, 32);
+}
+
+/* ------------------------------ Vercel Blob ------------------------------ */
+
+function createBlobStorage() {
+  const { put, get, list, del, BlobPreconditionFailedError } = require("@vercel/blob");
+
+  // put() without allowOverwrite refuses an existing pathname with this message
+  const isAlreadyExistsError = err => /already exists/i.test(String(err && err.message));
+
+  async function writeRaw(key, body, { contentType, ifVersion } = {}) {
+    let blob;
+    try {
+      blob = await put(key, body, {
+        access: "public",
+        addRandomSuffix: false,
+        allowOverwrite: ifVersion !== null,
+        ...(ifVersion ? { ifMatch: ifVersion } : {}),
+        ...(contentType ? { contentType } : {}),
+      });
+    } catch (err) {
+      if (err instanceof BlobPreconditionFailedError || (ifVersion === null && isAlreadyExistsError(err))) {
+        throw new StorageConflictError(key, ifVersion, "changed");
+      }
+      throw err;
+    }
+
+    return { url: blob.url, version: blob.etag };
+  }
+
+  return {
+    backend: "blob",
+
+    async readJson(key, { cached = false } = {}) {
+      const result = await get(key, { access: "public", useCache: cached });
+      if (!result) return null;
+
+      return {
+        data: await new Response(result.stream).json(),
+        version: result.blob.etag,
+        url: result.blob.url,
+      };
+    },
+
+    async writeJson(key, data, { pretty = false, ifVersion } = {}) {
+      return writeRaw(key, serialize(data, pretty), { contentType: "application/json", ifVersion });
+    },
+
+    writeRaw,
+
+    async list(prefix) {
+      const out = [];
+      let cursor;
+      do {
+        const page = await list({ prefix, cursor });
+        for (const b of page.blobs || []) {
+          out.push({ key: b.pathname, url: b.url, version: b.etag, size: b.size });
+        }
+        cursor = page.hasMore ? page.cursor : undefined;
+      } while (cursor);
+      return out;
+    },
+
+    async remove(key) {
+      await del(key);
+    },
+  };
+}
+
+/* ------------------------------ Local files ------------------------------ */
+
+function createLocalStorage(rootDir) {
+  const root = path.resolve(rootDir);
+
+  function fileFor(key) {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  }
+
+  function hash(buf) {
+    return crypto.createHash("sha1").update(buf).digest("hex");
+  }
+
+  async function readBuffer(key) {
+    try {
+      return await fs.readFile(fileFor(key));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  // Exclusive-create lock file so check-version + write is atomic across processes
+  async function withLock(file, fn) {
+    const lock = `${file}.lock`;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const handle = await fs.open(lock, "wx");
+        await handle.close();
+        break;
+      } catch (err) {
+        if (err.code !== "EEXIST" || attempt >= 50) throw err;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    }
+    try {
+      return await fn();
+    } finally {
+      await fs.unlink(lock).catch(() => {});
+    }
+  }
+
+  async function writeRaw(key, body, { ifVersion } = {}) {
+    const file = fileFor(key);
+    const buf = Buffer.isBuffer(body) ? body : Buffer.from(String(body));
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    return withLock(file, async () => {
+      if (ifVersion !== undefined) {
+        const current = await readBuffer(key);
+        checkVersion(key, ifVersion, current ? hash(current) : null);
+      }
+
+      // Write-then-rename so readers never see a half-written file
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(tmp, buf);
+      await fs.rename(tmp, file);
+
+      return { url: `file://${file}`, version: hash(buf) };
+    });
+  }
+
+  async function walk(dir) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) files.push(...(await walk(full)));
+      else if (!entry.name.endsWith(".tmp") && !entry.name.endsWith(".lock")) files.push(full);
+    }
+    return files;
+  }
+
+  return {
+    backend: "local",
+
+    async readJson(key) {
+      const buf = await readBuffer(key);
+      if (!buf) return null;
+      return { data: JSON.parse(buf.toString("utf8")), version: hash(buf), url: `file://${fileFor(key)}` };
+    },
+
+    async writeJson(key, data, { pretty = false, ifVersion } = {}) {
+      return writeRaw(key, serialize(data, pretty), { ifVersion });
+    },
+
+    writeRaw,
+
+    async list(prefix = "") {
+      const files = await walk(root);
+      const out = [];
+      for (const file of files) {
+        const key = path.relative(root, file).split(path.sep).join("/");
+        if (!key.startsWith(prefix)) continue;
+        const buf = await fs.readFile(file);
+        out.push({ key, url: `file://${file}`, version: hash(buf), size: buf.length });
+      }
+      return out.sort((a, b) => a.key.localeCompare(b.key));
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(fileFor(key));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    },
+  };
+}
+
+/* -------------------------------- Factory -------------------------------- */
+
+let storage = null;
+
+function getStorage() {
+  if (storage) return storage;
+
+  const backend = String(process.env.STORAGE_BACKEND || "blob").trim().toLowerCase();
+  if (backend === "local") {
+    storage = createLocalStorage(process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), ".data"));
+  } else if (backend === "blob") {
+    storage = createBlobStorage();
+  } else {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (use "blob" or "local")`);
+  }
+
+  return storage;
+}
+
+module.exports = {
+  StorageConflictError,
+  hashKey,
+  getStorage,
+  createBlobStorage,
+  createLocalStorage,
+};
@@ -0,0 +1,68 @@
+// api/_suppressionShared.js
+// Suppression list: addresses that asked to stop all Shoe Beagle email.
+// Every sender checks it right before getMailer().send - alert mail, confirmations, manage links.
+//
+//   suppressions/<hash>.json   { email, reason, source, suppressedAt }
+//
+// <hash> is hashKey() of the lowercased email (like the alert shards), so addresses never
+// appear in (public) blob URLs. One file per address, so adding/removing never races.
+const { getStorage, hashKey } = require("./_storageShared");
+
+const SUPPRESSIONS_PREFIX = "suppressions/";
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function suppressionKey(email) {
+  return `${SUPPRESSIONS_PREFIX}${hashKey(`suppression:${normalizeEmail(email)}`)}.json`;
+}
+
+async function isSuppressed(email) {
+  const cleanEmail = normalizeEmail(email);
+  if (!cleanEmail) return false;
+  return !!(await getStorage().readJson(suppressionKey(cleanEmail)));
+}
+
+// The stored record ({ email, reason, source, suppressedAt }), or null
+async function getSuppression(email) {
+  const cleanEmail = normalizeEmail(email);
+  if (!cleanEmail) return null;
+  const file = await getStorage().readJson(suppressionKey(cleanEmail));
+  return file ? file.data : null;
+}
+
+// The whole list in one listing, for the cron: returns { has(email) }
+async function loadSuppressionList() {
+  const keys = new Set((await getStorage().list(SUPPRESSIONS_PREFIX)).map(f => f.key));
+  return {
+    size: keys.size,
+    has: email => keys.has(suppressionKey(email)),
+  };
+}
+
+// source: where the request came from ("link", "one-click", ...) - kept for support questions
+async function suppressEmail(email, { reason = "unsubscribe", source = null } = {}) {
+  const cleanEmail = normalizeEmail(email);
+  if (!cleanEmail) throw new Error("Email is required");
+  await getStorage().writeJson(suppressionKey(cleanEmail), {
+    email: cleanEmail,
+    reason,
+    source,
+    suppressedAt: Date.now(),
+  });
+}
+
+async function unsuppressEmail(email) {
+  const cleanEmail = normalizeEmail(email);
+  if (!cleanEmail) return;
+  await getStorage().remove(suppressionKey(cleanEmail));
+}
+
+module.exports = {
+  isSuppressed,
+  getSuppression,
+  loadSuppressionList,
+  suppressEmail,
+  unsuppressEmail,
+};
@@ -0,0 +1,148 @@
+// api/_telegramShared.js
+// Telegram bot (see /api/telegram): Bot API client and chat <-> email links.
+//
+// A chat is linked to one email, double opt-in like alerts: /link you@example.com in the
+// bot emails a link to pages/telegram-link.html, and confirming there stores both sides:
+//   telegram-chats/<hash>.json   { chatId, email, username, linkedAt, linkRequestedAt }
+//   prefs.telegram               { chatId, username, linkedAt }   (see _alertRepoShared.js)
+// <hash> is hashKey() of the chat id - chat ids are small sequential numbers, so plain
+// "<chatId>.json" names could be walked to collect every linked address from blob storage.
+// The chat file tells bot commands whose alerts they act on; prefs.telegram is where
+// check-alerts sends matches (formatTelegram() in _channelsShared.js). An alert uses it when
+// "telegram" is in alert.channels, or it has no channel list (see alertRoute()). A chat
+// that blocks the bot is unlinked (prefs.telegram cleared) by check-alerts.
+//
+// Env vars:
+//   TELEGRAM_BOT_TOKEN        from @BotFather
+//   TELEGRAM_WEBHOOK_SECRET   Telegram sends it back as X-Telegram-Bot-Api-Secret-Token. Register with:
+//                             curl "https://api.telegram.org/bot<token>/setWebhook?url=https://shoebeagle.com/api/telegram&secret_token=<secret>"
+//   TELEGRAM_API_BASE         Bot API base URL, default https://api.telegram.org (point it at a local stub to test)
+const { getStorage, hashKey } = require("./_storageShared");
+const { SITE_URL, createToken } = require("./_tokenShared");
+
+const CHATS_PREFIX = "telegram-chats/";
+const SEND_TIMEOUT_MS = 10 * 1000;
+// Link emails are good for an hour, and a chat can ask for one every 10 minutes
+const LINK_TOKEN_TTL_MS = 60 * 60 * 1000;
+const LINK_REQUEST_INTERVAL_MS = 10 * 60 * 1000;
+
+function isTelegramConfigured() {
+  return !!process.env.TELEGRAM_BOT_TOKEN;
+}
+
+/**
+ * Call a Bot API method. Throws with `statusCode` (Telegram's error_code) when it fails.
+ * @returns {Promise<Object>} the method's `result`
+ */
+async function telegramApi(method, params) {
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  if (!token) throw new Error("TELEGRAM_BOT_TOKEN is not set");
+
+  const base = (process.env.TELEGRAM_API_BASE || "https://api.telegram.org").replace(/\/+$/, "");
+  const response = await fetch(`${base}/bot${token}/${method}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(params),
+    signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.ok) {
+    const err = new Error(`Telegram ${method} failed: ${data.description || `HTTP ${response.status}`}`);
+    err.statusCode = data.error_code || response.status;
+    throw err;
+  }
+  return data.result;
+}
+
+// `text` is Telegram HTML (see telegramEscape() in _channelsShared.js)
+function sendTelegramMessage(chatId, text) {
+  return telegramApi("sendMessage", {
+    chat_id: chatId,
+    text,
+    parse_mode: "HTML",
+    link_preview_options: { is_disabled: true },
+  });
+}
+
+// The user blocked the bot or the chat is gone - messages will never get through again
+function isBlockedChat(err) {
+  return !!err && (err.statusCode === 403 || (err.statusCode === 400 && /chat not found/i.test(err.message)));
+}
+
+/* ------------------------------- Chat links ------------------------------- */
+
+function chatKey(chatId) {
+  const id = String(chatId ?? "");
+  if (!/^-?\d{1,20}$/.test(id)) return null;
+  return `${CHATS_PREFIX}${hashKey(`telegram-chat:${id}`)}.json`;
+}
+
+async function getChat(chatId) {
+  const key = chatKey(chatId);
+  if (!key) return null;
+  const file = await getStorage().readJson(key);
+  return file ? file.data : null;
+}
+
+async function saveChat(chat) {
+  const key = chatKey(chat.chatId);
+  if (!key) throw new Error(`Invalid Telegram chat id "${chat.chatId}"`);
+  await getStorage().writeJson(key, chat);
+  return chat;
+}
+
+async function removeChat(chatId) {
+  const key = chatKey(chatId);
+  if (key) await getStorage().remove(key);
+}
+
+// The email a chat is linked to, or null
+async function getLinkedEmail(chatId) {
+  const chat = await getChat(chatId);
+  return chat && chat.email ? chat.email : null;
+}
+
+// Every chat file naming `email` - including chats check-alerts unlinked after the bot was
+// blocked, which keep their file (data export / erasure)
+async function listChatsForEmail(email) {
+  const storage = getStorage();
+  const cleanEmail = String(email || "").trim().toLowerCase();
+  const chats = [];
+  for (const file of await storage.list(CHATS_PREFIX)) {
+    const found = await storage.readJson(file.key);
+    if (found && found.data && found.data.email === cleanEmail) chats.push(found.data);
+  }
+  return chats;
+}
+
+// "Connect this chat" link for the /link email: GET /api/telegram?action=link&email=...&token=...
+// (which only opens the confirmation page - see /api/telegram)
+function buildTelegramLinkUrl(email, chatId) {
+  const token = createToken({
+    purpose: "telegram-link",
+    email,
+    ttlMs: LINK_TOKEN_TTL_MS,
+    claims: { c: String(chatId) },
+  });
+  return `${SITE_URL}/api/telegram?action=link&email=${encodeURIComponent(email)}&token=${encodeURIComponent(token)}`;
+}
+
+// What My Alerts gets back about the linked chat
+function publicTelegramLink(link) {
+  return link ? { username: link.username || null, linkedAt: link.linkedAt } : null;
+}
+
+module.exports = {
+  LINK_REQUEST_INTERVAL_MS,
+  isTelegramConfigured,
+  telegramApi,
+  sendTelegramMessage,
+  isBlockedChat,
+  getChat,
+  saveChat,
+  removeChat,
+  getLinkedEmail,
+  listChatsForEmail,
+  buildTelegramLinkUrl,
+  publicTelegramLink,
+};
@@ -0,0 +1,145 @@
+// api/_tokenShared.js
+// HMAC-signed, expiring tokens for alert magic links.
+//
+// Token format: base64url(JSON payload) + "." + base64url(HMAC-SHA256 of that payload)
+// Payload keys are kept short because the token ends up in email links:
+//   p   -> purpose ("manage", ...) so a token minted for one flow can't be replayed in another
+//   e   -> lowercased email the token was issued for
+//   exp -> expiry (ms since epoch)
+//
+// Env vars:
+//   ALERTS_TOKEN_SECRET            (required) HMAC key
+//   ALERTS_MANAGE_TOKEN_TTL_DAYS   (optional) manage-link lifetime, default 30
+//   ALERTS_UNSUBSCRIBE_TOKEN_TTL_DAYS (optional) unsubscribe-link lifetime, default 365
+const crypto = require("crypto");
+
+const SITE_URL = "https://shoebeagle.com";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MANAGE_TOKEN_TTL_MS = (Number(process.env.ALERTS_MANAGE_TOKEN_TTL_DAYS) || 30) * DAY_MS;
+// Unsubscribe links have to keep working long after the email was sent
+const UNSUBSCRIBE_TOKEN_TTL_MS = (Number(process.env.ALERTS_UNSUBSCRIBE_TOKEN_TTL_DAYS) || 365) * DAY_MS;
+
+function getSecret() {
+  const secret = process.env.ALERTS_TOKEN_SECRET;
+  if (!secret) throw new Error("ALERTS_TOKEN_SECRET is not configured");
+  return secret;
+}
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function sign(body) {
+  return crypto.createHmac("sha256", getSecret()).update(body).digest("base64url");
+}
+
+/**
+ * Create a signed token for a given purpose + email.
+ * Extra claims (e.g. an alert id) can be passed in `claims`.
+ */
+function createToken({ purpose, email, ttlMs, claims = {} }) {
+  const payload = {
+    ...claims,
+    p: purpose,
+    e: normalizeEmail(email),
+    exp: Date.now() + ttlMs,
+  };
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${body}.${sign(body)}`;
+}
+
+/**
+ * Verify a token. Returns the decoded payload, or null if the token is
+ * malformed, tampered with, expired, or issued for another purpose/email.
+ */
+function verifyToken(token, { purpose, email }) {
+  if (!token || typeof token !== "string") return null;
+
+  const parts = token.split(".");
+  if (parts.length !== 2) return null;
+  const [body, sig] = parts;
+
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch (err) {
+    return null;
+  }
+
+  if (!payload || payload.p !== purpose) return null;
+  if (!Number.isFinite(payload.exp) || payload.exp < Date.now()) return null;
+  if (email !== undefined && payload.e !== normalizeEmail(email)) return null;
+
+  return payload;
+}
+
+function createManageToken(email) {
+  return createToken({ purpose: "manage", email, ttlMs: MANAGE_TOKEN_TTL_MS });
+}
+
+function verifyManageToken(token, email) {
+  return verifyToken(token, { purpose: "manage", email });
+}
+
+// "Extend 30 days" link from the expiry reminder: GET /api/alerts?action=renew&... (opens pages/alert-link.html)
+// Valid until `validUntil` (ms) so it stops working once the alert can no longer be renewed.
+function buildRenewUrl(alert, validUntil) {
+  const cleanEmail = normalizeEmail(alert.email);
+  const token = createToken({
+    purpose: "renew",
+    email: cleanEmail,
+    ttlMs: Math.max(0, validUntil - Date.now()),
+    claims: { a: alert.id }
+  });
+  return `${SITE_URL}/api/alerts?action=renew&email=${encodeURIComponent(cleanEmail)}&token=${encodeURIComponent(token)}`;
+}
+
+// Link to My Alerts with a fresh manage token baked in (used in every alert email).
+function buildManageUrl(email) {
+  const cleanEmail = normalizeEmail(email);
+  return `${SITE_URL}/pages/myalerts.html?email=${encodeURIComponent(cleanEmail)}&token=${encodeURIComponent(createManageToken(cleanEmail))}`;
+}
+
+function createUnsubscribeToken(email) {
+  return createToken({ purpose: "unsubscribe", email, ttlMs: UNSUBSCRIBE_TOKEN_TTL_MS });
+}
+
+function verifyUnsubscribeToken(token, email) {
+  return verifyToken(token, { purpose: "unsubscribe", email });
+}
+
+// "Unsubscribe from all" footer link -> pages/unsubscribe.html, which asks before doing it
+function buildUnsubscribeUrl(email) {
+  const cleanEmail = normalizeEmail(email);
+  return `${SITE_URL}/pages/unsubscribe.html?email=${encodeURIComponent(cleanEmail)}&token=${encodeURIComponent(createUnsubscribeToken(cleanEmail))}`;
+}
+
+// RFC 8058 one-click headers: mail clients POST "List-Unsubscribe=One-Click" to the URL.
+// Passed as `headers` on every message we send.
+function buildListUnsubscribeHeaders(email) {
+  const cleanEmail = normalizeEmail(email);
+  const url = `${SITE_URL}/api/unsubscribe?email=${encodeURIComponent(cleanEmail)}&token=${encodeURIComponent(createUnsubscribeToken(cleanEmail))}`;
+  return {
+    "List-Unsubscribe": `<${url}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+  };
+}
+
+module.exports = {
+  SITE_URL,
+  createToken,
+  verifyToken,
+  createManageToken,
+  verifyManageToken,
+  buildManageUrl,
+  buildRenewUrl,
+  verifyUnsubscribeToken,
+  buildUnsubscribeUrl,
+  buildListUnsubscribeHeaders,
+};
@@ -0,0 +1,30 @@
+// /api/alert-deliveries.js
+// Alert email delivery summary for dashboard.html: sent/failed totals, recent failures
+// and the retry queue (see _deliveryShared.js).
+//
+//   GET /api/alert-deliveries?days=7
+//
+// The dashboard is public, so by default failures come without anything about the
+// recipient. Send the x-cron-secret header (CRON_SECRET, as for /api/merge-deals) to get
+// masked addresses, alert ids and the provider's error text as well.
+const { loadDeliverySummary } = require("./_deliveryShared");
+
+module.exports = async (req, res) => {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const cronSecret = process.env.CRON_SECRET;
+  const detail = !!cronSecret && req.headers["x-cron-secret"] === cronSecret;
+
+  try {
+    const days = Math.min(30, Math.max(1, parseInt(req.query.days) || 7));
+    const summary = await loadDeliverySummary({ days, detail });
+
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json({ success: true, ...summary });
+  } catch (error) {
+    console.error("[DELIVERIES] Error:", error);
+    return res.status(500).json({ error: "Could not load delivery log" });
+  }
+};
@@ -1,107 +1,105 @@
 // /api/alerts.js
 // Comprehensive alerts API handling all operations
-const { put, list } = require("@vercel/blob");
-const sgMail = require("@sendgrid/mail");
+const { getStorage } = require("./_storageShared");
+const { getMailer } = require("./_mailerShared");
+const {
+  SITE_URL,
+  verifyToken,
+  buildManageUrl,
+  verifyManageToken,
+  buildListUnsubscribeHeaders,
+} = require("./_tokenShared");
+const { isSuppressed, suppressEmail } = require("./_suppressionShared");
+const {
+  generateConfirmationEmail,
+  generateManageLinkEmail,
+  generateExportEmail,
+  generateErasedEmail,
+} = require("./_alertEmailsShared");
+const { parseChannels, parseAlertChannels, sendToChannel } = require("./_channelsShared");
+const {
+  isPushConfigured,
+  getVapidPublicKey,
+  parsePushSubscription,
+  addPushSubscription,
+  publicPushSubscriptions,
+} = require("./_pushShared");
+const { publicTelegramLink } = require("./_telegramShared");
+const { exportUserData, eraseUserData } = require("./_privacyShared");
+const {
+  isPendingAlert,
+  alertMode,
+  describeAlertCriteria,
+  canRenewAlert,
+  renewAlertChanges,
+  normalizeNotifyFrequency,
+  sanitizeInput,
+  isSingleEmailAddress,
+  parseAlertCriteria,
+  parseNewAlert,
+  buildNewAlert,
+} = require("./_alertsShared");
+const { clientIp } = require("./_requestShared");
+const {
+  checkCreateRateLimit,
+  checkManageLinkRateLimit,
+  isDisposableEmail,
+  isHoneypotFilled,
+  checkAlertLimit,
+} = require("./_abuseShared");
+const {
+  listAlertsByEmail,
+  createAlert,
+  addAccountEmail,
+  updateAlert,
+  removeAlert,
+  getNotificationPrefs,
+  updateNotificationPrefs,
+} = require("./_alertRepoShared");
 
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+// Store names come from deals.json's dealsByStore so alerts can only reference
+// stores we actually scrape.
+const MAX_STORE_FILTERS = 20;
 
-function sanitizeInput(str) {
-  return String(str || "")
-    .replace(/[<>'"]/g, '')
-    .replace(/script/gi, '')
-    .trim()
-    .slice(0, 100);
-}
-
-function formatDateShort(ms) {
-  const d = new Date(ms);
-  const day = d.getDate();
-  const months = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
-  const mon = months[d.getMonth()];
-  const yy = String(d.getFullYear()).slice(-2);
-  return `${day}-${mon}-${yy}`;
+async function loadKnownStores() {
+  const file = await getStorage().readJson("deals.json");
+  if (!file) throw new Error("Could not locate deals.json");
+  const data = file.data;
+  
+  return Object.keys((data && data.dealsByStore) || {}).sort((a, b) => a.localeCompare(b));
 }
 
-function generateConfirmationEmail(newAlert, allUserAlerts) {
-  const daysLeft = 30;
-  const alertsHtml = allUserAlerts.map(alert => `
-    <tr>
-      <td style="padding: 8px; border-bottom: 1px solid #ddd;">${formatDateShort(alert.setAt)}</td>
-      <td style="padding: 8px; border-bottom: 1px solid #ddd;">${alert.brand} ${alert.model}</td>
-      <td style="padding: 8px; border-bottom: 1px solid #ddd; text-align: right;">$${Math.round(alert.targetPrice)}</td>
-      <td style="padding: 8px; border-bottom: 1px solid #ddd; text-align: center;">${alert.cancelledAt ? 'Cancelled' : `${Math.max(0, 30 - Math.floor((Date.now() - alert.setAt) / (1000 * 60 * 60 * 24)))} days`}</td>
-    </tr>
-  `).join('');
-
-  return `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-</head>
-<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4ede3;">
-  <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
-    <div style="background: white; border-radius: 10px; padding: 30px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-      <div style="text-align: center; margin-bottom: 30px;">
-        <img src="https://shoebeagle.com/images/email_logo.png" alt="Shoe Beagle" style="max-width: 300px; height: auto;">
-      </div>
-      
-      <h1 style="color: #214478; margin: 0 0 20px; font-size: 24px;">✅ Alert Confirmed!</h1>
-      
-      <p style="font-size: 16px; line-height: 1.6; color: #333; margin-bottom: 20px;">
-        Your price alert has been successfully created:
-      </p>
-
-      <div style="background: #f9f9f9; border-left: 4px solid #214478; padding: 15px; margin-bottom: 25px;">
-        <p style="margin: 5px 0; font-size: 15px;"><strong>Shoe:</strong> ${newAlert.brand} ${newAlert.model}</p>
-        <p style="margin: 5px 0; font-size: 15px;"><strong>Target Price:</strong> $${Math.round(newAlert.targetPrice)} or less</p>
-        <p style="margin: 5px 0; font-size: 15px;"><strong>Duration:</strong> ${daysLeft} days (expires ${new Date(newAlert.setAt + 30 * 24 * 60 * 60 * 1000).toLocaleDateString()})</p>
-      </div>
-
-      <p style="font-size: 15px; line-height: 1.6; color: #333; margin-bottom: 25px;">
-        We'll search daily for deals matching your criteria. When we find your shoes at or below $${Math.round(newAlert.targetPrice)}, 
-        you'll be notified immediately!
-      </p>
-
-      ${allUserAlerts.length > 1 ? `
-      <h2 style="color: #214478; font-size: 18px; margin-top: 30px; margin-bottom: 15px;">Your Active Alerts</h2>
-      <table style="width: 100%; border-collapse: collapse; margin-bottom: 25px;">
-        <thead>
-          <tr style="background: #f4ede3;">
-            <th style="padding: 10px; text-align: left; border-bottom: 2px solid #214478;">Date Set</th>
-            <th style="padding: 10px; text-align: left; border-bottom: 2px solid #214478;">Shoe</th>
-            <th style="padding: 10px; text-align: right; border-bottom: 2px solid #214478;">Price</th>
-            <th style="padding: 10px; text-align: center; border-bottom: 2px solid #214478;">Time Left</th>
-          </tr>
-        </thead>
-        <tbody>
-          ${alertsHtml}
-        </tbody>
-      </table>
-      ` : ''}
-
-      <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd;">
-        <p style="font-size: 14px; color: #666; margin-bottom: 15px;">
-          <strong>Save this email to manage or cancel alerts.</strong>
-        </p>
-        <a href="https://shoebeagle.com/pages/myalerts.html?email=${encodeURIComponent(newAlert.email)}" 
-           style="display: inline-block; padding: 12px 30px; background: #214478; color: white; text-decoration: none; border-radius: 5px; font-weight: bold;">
-          Manage Alerts
-        </a>
-      </div>
-
-      <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; font-size: 12px; color: #666;">
-        <p style="margin: 5px 0;">This alert will remain active for 30 days or until cancelled.</p>
-        <p style="margin: 5px 0;">You can have up to 5 active alerts at a time.</p>
-        <p style="margin: 15px 0 5px;"><strong>Privacy:</strong> Your email is never sold or shared by Shoe Beagle.</p>
-        <p style="margin: 5px 0;">Questions? Visit <a href="https://shoebeagle.com" style="color: #214478;">shoebeagle.com</a></p>
-      </div>
-    </div>
-  </div>
-</body>
-</html>
-  `.trim();
+// Validate includeStores / excludeStores against the known stores.
+// Returns { error } or { includeStores, excludeStores } with canonical store names.
+function parseStoreFilters({ includeStores, excludeStores }, knownStores) {
+  const byLower = new Map(knownStores.map(name => [name.toLowerCase(), name]));
+  
+  const parseList = (value, label) => {
+    if (value == null || value === "") return { stores: [] };
+    if (!Array.isArray(value)) return { error: `${label} must be an array of store names` };
+    if (value.length > MAX_STORE_FILTERS) return { error: `${label} can list at most ${MAX_STORE_FILTERS} stores` };
+    
+    const stores = [];
+    const unknown = [];
+    for (const raw of value) {
+      const name = byLower.get(String(raw || "").trim().toLowerCase());
+      if (!name) unknown.push(sanitizeInput(raw));
+      else if (!stores.includes(name)) stores.push(name);
+    }
+    if (unknown.length) return { error: `Unknown store${unknown.length > 1 ? 's' : ''}: ${unknown.join(", ")}` };
+    return { stores };
+  };
+  
+  const include = parseList(includeStores, "includeStores");
+  if (include.error) return { error: include.error };
+  const exclude = parseList(excludeStores, "excludeStores");
+  if (exclude.error) return { error: exclude.error };
+  
+  if (include.stores.some(name => exclude.stores.includes(name))) {
+    return { error: "A store can't be both included and excluded" };
+  }
+  
+  return { includeStores: include.stores, excludeStores: exclude.stores };
 }
 
 // ============================================================================
@@ -109,12 +107,26 @@ function generateConfirmationEmail(newAlert, allUserAlerts) {
 // ============================================================================
 module.exports = async (req, res) => {
   try {
-    // GET request = LIST alerts
+    // GET request = LIST alerts (or CONFIRM/RENEW from an email link, STORES for the form, PUSH-KEY for subscribing)
     if (req.method === "GET") {
+      // Links from emails only open a page that asks first - scanners and prefetchers
+      // open every link in an email, so a GET never changes anything
+      if (req.query.action === "confirm") {
+        return redirectToLinkPage(req, res, "confirm");
+      }
+      if (req.query.action === "renew") {
+        return redirectToLinkPage(req, res, "renew");
+      }
+      if (req.query.action === "stores") {
+        return await handleStores(req, res);
+      }
+      if (req.query.action === "push-key") {
+        return handlePushKey(req, res);
+      }
       return await handleList(req, res);
     }
     
-    // POST request = CREATE or MANAGE (cancel/update/remove)
+    // POST request = CREATE, REQUEST LINK, PREFERENCES, CHANNELS or MANAGE (cancel/update/renew/remove/alert-channels)
     if (req.method === "POST") {
       const { action } = req.body;
       
@@ -123,6 +135,46 @@ module.exports = async (req, res) => {
         return await handleCreate(req, res);
       }
       
+      // The buttons on pages/alert-link.html (the confirmation and expiry reminder emails' links).
+      // "renew" is taken by the manage operation, which signs in with a manage token instead
+      if (action === "confirm") {
+        return await handleConfirm(req, res);
+      }
+      if (action === "renew-link") {
+        return await handleRenew(req, res);
+      }
+      
+      // Email a fresh manage link (no token needed - it only ever goes to the inbox)
+      if (action === "request-link") {
+        return await handleRequestLink(req, res);
+      }
+      
+      // Per-email notification preferences (immediate vs. daily/weekly digest)
+      if (action === "preferences") {
+        return await handlePreferences(req, res);
+      }
+      
+      // Per-email webhook / Discord / Slack channels, and a test post to one of them
+      if (action === "channels") {
+        return await handleChannels(req, res);
+      }
+      if (action === "test-channel") {
+        return await handleTestChannel(req, res);
+      }
+      
+      // Browser push subscriptions for this email
+      if (action === "push-subscribe" || action === "push-unsubscribe") {
+        return await handlePushSubscription(req, res);
+      }
+      
+      // Download / erase everything stored for this email
+      if (action === "export") {
+        return await handleExport(req, res);
+      }
+      if (action === "erase") {
+        return await handleErase(req, res);
+      }
+      
       // Otherwise, handle manage operations
       return await handleManage(req, res);
     }
@@ -139,7 +191,7 @@ module.exports = async (req, res) => {
 // LIST ALERTS
 // ============================================================================
 async function handleList(req, res) {
-  const { email } = req.query;
+  const { email, token } = req.query;
   
   if (!email) {
     return res.status(400).json({ error: "Email parameter is required" });
@@ -147,115 +199,185 @@ async function handleList(req, res) {
   
   const cleanEmail = email.trim().toLowerCase();
   
-  // Load alerts from blob
-  const { blobs } = await list({ prefix: "alerts.json" });
-  
-  if (!blobs || blobs.length === 0) {
-    return res.status(200).json({ success: true, alerts: [] });
+  if (!verifyManageToken(token, cleanEmail)) {
+    return res.status(401).json({ error: "This link is invalid or has expired. Request a fresh link to view your alerts.", code: "INVALID_TOKEN" });
   }
   
-  const response = await fetch(blobs[0].url);
-  const data = await response.json();
-  const alerts = Array.isArray(data.alerts) ? data.alerts : [];
-  
-  // Filter by email and sort by date (newest first)
-  const userAlerts = alerts
-    .filter(a => a.email === cleanEmail)
+  // Newest first
+  const userAlerts = (await listAlertsByEmail(cleanEmail))
     .sort((a, b) => b.setAt - a.setAt);
+  const prefs = await getNotificationPrefs(cleanEmail);
   
   return res.status(200).json({
     success: true,
     alerts: userAlerts,
-    count: userAlerts.length
+    count: userAlerts.length,
+    preferences: {
+      frequency: prefs.frequency,
+      channels: prefs.channels || [],
+      pushSubscriptions: publicPushSubscriptions(prefs.pushSubscriptions),
+      telegram: publicTelegramLink(prefs.telegram)
+    }
   });
 }
 
+// ============================================================================
+// STORES (for the include/exclude pickers on setalert.html)
+// ============================================================================
+async function handleStores(req, res) {
+  try {
+    const stores = await loadKnownStores();
+    return res.status(200).json({ success: true, stores });
+  } catch (err) {
+    console.error("[ALERT STORES] Could not load stores:", err.message);
+    return res.status(503).json({ error: "Store list is unavailable right now" });
+  }
+}
+
 // ============================================================================
 // CREATE ALERT
 // ============================================================================
 async function handleCreate(req, res) {
-  const { email, brand, model, targetPrice } = req.body;
+  const { includeStores, excludeStores, channels, pushSubscription } = req.body;
+  
+  // A bot filled in the hidden field - look like it worked so it doesn't adapt
+  if (isHoneypotFilled(req.body)) {
+    console.log(`[ALERT CREATE] Honeypot filled from ${clientIp(req)}, ignoring`);
+    return res.status(200).json({
+      success: true,
+      message: "Almost done! Check your email and click the link to confirm your alert."
+    });
+  }
   
   // Validation
-  if (!email || !email.includes('@')) {
-    return res.status(400).json({ error: "Valid email address is required" });
+  const parsedAlert = parseNewAlert(req.body);
+  if (parsedAlert.error) {
+    return res.status(400).json({ error: parsedAlert.error });
   }
   
-  if (!brand || !model) {
-    return res.status(400).json({ error: "Brand and model are required" });
+  let storeFilters = { includeStores: [], excludeStores: [] };
+  if ((includeStores && includeStores.length) || (excludeStores && excludeStores.length)) {
+    let knownStores;
+    try {
+      knownStores = await loadKnownStores();
+    } catch (err) {
+      console.error("[ALERT CREATE] Could not load stores:", err.message);
+      return res.status(503).json({ error: "Store list is unavailable right now. Try again shortly or leave stores unset." });
+    }
+    
+    storeFilters = parseStoreFilters({ includeStores, excludeStores }, knownStores);
+    if (storeFilters.error) {
+      return res.status(400).json({ error: storeFilters.error });
+    }
   }
   
-  const price = parseInt(targetPrice);
-  if (!price || price <= 0) {
-    return res.status(400).json({ error: "Valid target price is required" });
+  // "email" and/or "push" (this browser, once the alert is confirmed); email only if omitted
+  let alertChannels = null;
+  let pendingPush = null;
+  if (channels !== undefined) {
+    const wanted = Array.isArray(channels) ? [...new Set(channels.map(String))] : [];
+    if (!wanted.length || wanted.some(c => c !== "email" && c !== "push")) {
+      return res.status(400).json({ error: "Notify by 'email', 'push', or both" });
+    }
+    if (wanted.includes("push")) {
+      if (!isPushConfigured()) {
+        return res.status(400).json({ error: "Browser notifications aren't available right now. Please choose email." });
+      }
+      const parsed = parsePushSubscription(pushSubscription, req.headers["user-agent"]);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      pendingPush = parsed.subscription;
+    }
+    alertChannels = wanted;
   }
   
-  const cleanEmail = sanitizeInput(email).toLowerCase();
-  const cleanBrand = sanitizeInput(brand);
-  const cleanModel = sanitizeInput(model);
+  const { fields } = parsedAlert;
+  const cleanEmail = fields.email;
   
-  // Load existing alerts
-  let alerts = [];
+  if (isDisposableEmail(cleanEmail)) {
+    return res.status(400).json({
+      error: "Please use a permanent email address - disposable inboxes can't receive alerts.",
+      code: "DISPOSABLE_EMAIL"
+    });
+  }
+  
+  // Unsubscribed addresses get no mail at all, so the confirmation could never arrive
+  if (await isSuppressed(cleanEmail)) {
+    return res.status(403).json({
+      error: "This address has unsubscribed from Shoe Beagle emails. Use the Resubscribe button on the unsubscribe page (linked from any of our emails) to get alerts again.",
+      code: "UNSUBSCRIBED"
+    });
+  }
+  
+  // Check limit: active alerts across every address on this account (unconfirmed ones count until they lapse)
+  let limit;
   try {
-    const { blobs } = await list({ prefix: "alerts.json" });
-    if (blobs && blobs.length > 0) {
-      const response = await fetch(blobs[0].url);
-      const data = await response.json();
-      alerts = Array.isArray(data.alerts) ? data.alerts : [];
-    }
+    limit = await checkAlertLimit(cleanEmail);
   } catch (err) {
-    console.log("No existing alerts file, creating new one");
+    console.error("[ALERT CREATE] Could not count existing alerts:", err.message);
+    return res.status(503).json({ error: "Alerts are unavailable right now. Please try again shortly." });
   }
   
-  // Check limit: max 5 active alerts per email
-  const userActiveAlerts = alerts.filter(a => 
-    a.email === cleanEmail && 
-    !a.cancelledAt && 
-    (a.setAt + 30 * 24 * 60 * 60 * 1000) > Date.now()
-  );
-  
-  if (userActiveAlerts.length >= 5) {
+  if (!limit.allowed) {
     return res.status(429).json({ 
-      error: "Maximum 5 active alerts per email. Please cancel an existing alert first.",
-      currentCount: userActiveAlerts.length
+      error: `Maximum ${limit.limit} active alerts per email. Please cancel an existing alert first.`,
+      currentCount: limit.count
+    });
+  }
+  
+  // Sign-ups per IP and per email domain
+  const rateLimit = await checkCreateRateLimit(clientIp(req), cleanEmail);
+  if (rateLimit.limited) {
+    console.log(`[ALERT CREATE] Rate limited (${rateLimit.reason}) for ${cleanEmail} from ${clientIp(req)}`);
+    res.setHeader("Retry-After", String(rateLimit.retryAfterSeconds));
+    return res.status(429).json({
+      error: "Too many new alerts from here. Please try again later.",
+      code: "RATE_LIMITED",
+      retryAfter: rateLimit.retryAfterSeconds
     });
   }
   
+  // Load this user's existing alerts
+  let alerts = [];
+  try {
+    alerts = await listAlertsByEmail(cleanEmail);
+  } catch (err) {
+    console.log("[ALERT CREATE] Could not load existing alerts:", err.message);
+  }
+  
   // Create new alert
-  const newAlert = {
-    id: `alert_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-    email: cleanEmail,
-    brand: cleanBrand,
-    model: cleanModel,
-    targetPrice: price,
-    setAt: Date.now(),
-    cancelledAt: null,
-    lastNotifiedAt: null
-  };
+  const newAlert = buildNewAlert({ ...fields, ...storeFilters }, {
+    ...(alertChannels ? { channels: alertChannels } : {}),
+    ...(pendingPush ? { pendingPushSubscription: pendingPush } : {})
+  });
   
   alerts.push(newAlert);
   
-  // Save to blob
-  await put("alerts.json", JSON.stringify({ alerts, lastUpdated: new Date().toISOString() }), {
-    access: "public",
-    addRandomSuffix: false
-  });
+  await createAlert(newAlert);
+  try {
+    await addAccountEmail(cleanEmail);
+  } catch (err) {
+    console.log("[ALERT CREATE] Could not record account email:", err.message);
+  }
   
   // Get all user's alerts for confirmation email
   const allUserAlerts = alerts.filter(a => a.email === cleanEmail && !a.cancelledAt);
   
-  // Send confirmation email
+  // Send confirmation (opt-in) email
   try {
-    const emailHtml = generateConfirmationEmail(newAlert, allUserAlerts);
+    const { html, text } = generateConfirmationEmail(newAlert, allUserAlerts);
     
-    await sgMail.send({
+    await getMailer().send({
       to: cleanEmail,
       from: process.env.SENDGRID_ALERTS_EMAIL,
-      subject: `✅ Alert Confirmed: ${cleanBrand} ${cleanModel}`,
-      html: emailHtml
+      subject: `📬 Please confirm your alert: ${newAlert.brand} ${newAlert.model}`,
+      html,
+      text,
+      headers: buildListUnsubscribeHeaders(cleanEmail)
     });
     
-    console.log(`[ALERT CREATE] Alert created and confirmation sent to ${cleanEmail}`);
+    console.log(`[ALERT CREATE] Pending alert created and confirmation link sent to ${cleanEmail}`);
   } catch (emailError) {
     console.error("[ALERT CREATE] Email failed but alert was saved:", emailError);
     // Don't fail the request if email fails
@@ -264,15 +386,451 @@ async function handleCreate(req, res) {
   return res.status(200).json({
     success: true,
     alert: newAlert,
-    message: "Alert created! Check your email for confirmation."
+    message: "Almost done! Check your email and click the link to confirm your alert."
+  });
+}
+
+// ============================================================================
+// RENEW ALERT (the "Extend 30 Days" link from the expiry reminder email)
+// ============================================================================
+async function handleRenew(req, res) {
+  const { email, token } = req.body;
+  const cleanEmail = String(email || "").trim().toLowerCase();
+  
+  const payload = cleanEmail ? verifyToken(token, { purpose: "renew", email: cleanEmail }) : null;
+  if (!payload || !payload.a) {
+    return res.status(401).json({ error: "This renewal link is invalid or has expired. You can set a new alert anytime.", code: "INVALID_TOKEN" });
+  }
+  
+  let alerts = [];
+  try {
+    alerts = await listAlertsByEmail(cleanEmail);
+  } catch (err) {
+    console.error("[ALERT RENEW] Could not load alerts:", err.message);
+  }
+  
+  const alert = alerts.find(a => a.id === payload.a);
+  
+  // The token proves who they are, so land them on My Alerts either way
+  if (!alert || !canRenewAlert(alert)) {
+    return res.status(409).json({
+      error: "This alert can no longer be renewed. You can set a new alert anytime.",
+      code: "CANNOT_RENEW",
+      redirectUrl: `${buildManageUrl(cleanEmail)}&renew=invalid`
+    });
+  }
+  
+  // Clicking twice within a minute shouldn't count as two renewals
+  if (Date.now() - (alert.renewedAt || 0) > 60 * 1000) {
+    await updateAlert(cleanEmail, alert.id, renewAlertChanges(alert));
+    console.log(`[ALERT RENEW] Alert ${alert.id} renewed for ${cleanEmail} from reminder link`);
+  }
+  
+  return res.status(200).json({
+    success: true,
+    message: "Alert renewed! We'll keep checking prices for another 30 days.",
+    redirectUrl: `${buildManageUrl(cleanEmail)}&renew=ok`
+  });
+}
+
+// ============================================================================
+// EMAIL LINKS -> pages/alert-link.html, which POSTs back once the user clicks
+// ============================================================================
+function redirectToLinkPage(req, res, action) {
+  const email = String(req.query.email || "").trim().toLowerCase();
+  const token = String(req.query.token || "");
+  return res.redirect(302, `${SITE_URL}/pages/alert-link.html?action=${action}&email=${encodeURIComponent(email)}&token=${encodeURIComponent(token)}`);
+}
+
+// ============================================================================
+// CONFIRM ALERT (double opt-in: the Confirm button behind the confirmation email's link)
+// ============================================================================
+const INVALID_CONFIRM_LINK = {
+  error: "This confirmation link is invalid or has expired. You can set the alert again anytime.",
+  code: "INVALID_TOKEN"
+};
+
+async function handleConfirm(req, res) {
+  const { email, token } = req.body;
+  const cleanEmail = String(email || "").trim().toLowerCase();
+  
+  const payload = cleanEmail ? verifyToken(token, { purpose: "confirm", email: cleanEmail }) : null;
+  if (!payload || !payload.a) {
+    return res.status(401).json(INVALID_CONFIRM_LINK);
+  }
+  
+  let alerts = [];
+  try {
+    alerts = await listAlertsByEmail(cleanEmail);
+  } catch (err) {
+    console.error("[ALERT CONFIRM] Could not load alerts:", err.message);
+  }
+  
+  const alertIndex = alerts.findIndex(a => a.id === payload.a && a.email === cleanEmail);
+  
+  if (alertIndex === -1 || alerts[alertIndex].cancelledAt) {
+    return res.status(401).json(INVALID_CONFIRM_LINK);
+  }
+  
+  const alert = alerts[alertIndex];
+  
+  // Clicking the link twice is harmless
+  if (isPendingAlert(alert)) {
+    const now = Date.now();
+    await updateAlert(cleanEmail, alert.id, {
+      pendingSince: null,
+      confirmedAt: now,
+      setAt: now, // The 30 days start once the alert is live
+      pendingPushSubscription: null
+    });
+    
+    // The browser that set the alert gets push notifications from now on
+    if (alert.pendingPushSubscription) {
+      const prefs = await getNotificationPrefs(cleanEmail);
+      await updateNotificationPrefs(cleanEmail, {
+        pushSubscriptions: addPushSubscription(prefs.pushSubscriptions, alert.pendingPushSubscription)
+      });
+    }
+    
+    console.log(`[ALERT CONFIRM] Alert ${alert.id} confirmed for ${cleanEmail}`);
+  }
+  
+  return res.status(200).json({
+    success: true,
+    message: "Alert confirmed! We'll start checking prices for you.",
+    redirectUrl: `${buildManageUrl(cleanEmail)}&confirm=ok`
+  });
+}
+
+// ============================================================================
+// REQUEST A FRESH MANAGE LINK
+// ============================================================================
+async function handleRequestLink(req, res) {
+  const { email } = req.body;
+  
+  if (!email || !isSingleEmailAddress(email)) {
+    return res.status(400).json({ error: "Valid email address is required" });
+  }
+  
+  const cleanEmail = sanitizeInput(email).toLowerCase();
+  
+  // Link emails per IP and per recipient, counted before the lookup so a 429 says nothing about the address
+  const rateLimit = await checkManageLinkRateLimit(clientIp(req), cleanEmail);
+  if (rateLimit.limited) {
+    console.log(`[ALERT LINK] Rate limited (${rateLimit.reason}) for ${cleanEmail} from ${clientIp(req)}`);
+    res.setHeader("Retry-After", String(rateLimit.retryAfterSeconds));
+    return res.status(429).json({
+      error: "Too many link requests. Please check your inbox for the last one, or try again later.",
+      code: "RATE_LIMITED",
+      retryAfter: rateLimit.retryAfterSeconds
+    });
+  }
+  
+  // Same response whether or not we know the address, so this can't be used to probe for users
+  const genericResponse = {
+    success: true,
+    message: "If we have alerts for that address, a link to manage them is on its way."
+  };
+  
+  let alerts = [];
+  try {
+    alerts = await listAlertsByEmail(cleanEmail);
+  } catch (err) {
+    console.log("[ALERT LINK] Could not load alerts:", err.message);
+  }
+  
+  if (alerts.length === 0) {
+    return res.status(200).json(genericResponse);
+  }
+  
+  if (await isSuppressed(cleanEmail)) {
+    console.log(`[ALERT LINK] ${cleanEmail} has unsubscribed, not sending`);
+    return res.status(200).json(genericResponse);
+  }
+  
+  try {
+    await getMailer().send({
+      to: cleanEmail,
+      from: process.env.SENDGRID_ALERTS_EMAIL,
+      subject: "🔑 Your Shoe Beagle alerts link",
+      ...generateManageLinkEmail(cleanEmail),
+      headers: buildListUnsubscribeHeaders(cleanEmail)
+    });
+    
+    console.log(`[ALERT LINK] Manage link sent to ${cleanEmail}`);
+  } catch (emailError) {
+    console.error("[ALERT LINK] Email failed:", emailError);
+  }
+  
+  return res.status(200).json(genericResponse);
+}
+
+// ============================================================================
+// NOTIFICATION PREFERENCES
+// ============================================================================
+async function handlePreferences(req, res) {
+  const { email, token, frequency } = req.body;
+  
+  if (!email) {
+    return res.status(400).json({ error: "Email is required" });
+  }
+  
+  const cleanEmail = sanitizeInput(email).toLowerCase();
+  
+  if (!verifyManageToken(token, cleanEmail)) {
+    return res.status(401).json({ error: "This link is invalid or has expired. Request a fresh link to manage your alerts.", code: "INVALID_TOKEN" });
+  }
+  
+  const cleanFrequency = normalizeNotifyFrequency(frequency);
+  if (!cleanFrequency) {
+    return res.status(400).json({ error: "Frequency must be 'immediate', 'daily', or 'weekly'" });
+  }
+  
+  // Prefs live alongside the alerts, so there has to be at least one
+  const alerts = await listAlertsByEmail(cleanEmail);
+  if (alerts.length === 0) {
+    return res.status(404).json({ error: "No alerts found" });
+  }
+  
+  await updateNotificationPrefs(cleanEmail, { frequency: cleanFrequency });
+  
+  console.log(`[ALERT PREFS] ${cleanEmail} now gets ${cleanFrequency} notifications`);
+  
+  return res.status(200).json({
+    success: true,
+    preferences: { frequency: cleanFrequency },
+    message: cleanFrequency === "immediate"
+      ? "You'll get an email as soon as each alert finds a deal."
+      : `You'll get one ${cleanFrequency} digest covering all your alerts.`
+  });
+}
+
+// ============================================================================
+// NOTIFICATION CHANNELS (webhook / Discord / Slack)
+// ============================================================================
+// The client always sends the whole list; ids it sends back keep their webhook secret
+async function handleChannels(req, res) {
+  const { email, token, channels } = req.body;
+  
+  if (!email) {
+    return res.status(400).json({ error: "Email is required" });
+  }
+  
+  const cleanEmail = sanitizeInput(email).toLowerCase();
+  
+  if (!verifyManageToken(token, cleanEmail)) {
+    return res.status(401).json({ error: "This link is invalid or has expired. Request a fresh link to manage your alerts.", code: "INVALID_TOKEN" });
+  }
+  
+  // Prefs live alongside the alerts, so there has to be at least one
+  const alerts = await listAlertsByEmail(cleanEmail);
+  if (alerts.length === 0) {
+    return res.status(404).json({ error: "No alerts found" });
+  }
+  
+  const prefs = await getNotificationPrefs(cleanEmail);
+  const parsed = parseChannels(channels, prefs.channels);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  
+  await updateNotificationPrefs(cleanEmail, { channels: parsed.channels });
+  
+  console.log(`[ALERT CHANNELS] ${cleanEmail} now has ${parsed.channels.length} channels (${parsed.channels.map(c => c.type).join(", ") || "email only"})`);
+  
+  return res.status(200).json({
+    success: true,
+    preferences: { frequency: prefs.frequency, channels: parsed.channels },
+    message: "Notification channels saved."
+  });
+}
+
+async function handleTestChannel(req, res) {
+  const { email, token, channelId } = req.body;
+  
+  if (!email || !channelId) {
+    return res.status(400).json({ error: "Email and channel ID are required" });
+  }
+  
+  const cleanEmail = sanitizeInput(email).toLowerCase();
+  
+  if (!verifyManageToken(token, cleanEmail)) {
+    return res.status(401).json({ error: "This link is invalid or has expired. Request a fresh link to manage your alerts.", code: "INVALID_TOKEN" });
+  }
+  
+  const prefs = await getNotificationPrefs(cleanEmail);
+  const channel = (prefs.channels || []).find(c => c.id === channelId);
+  if (!channel) {
+    return res.status(404).json({ error: "Channel not found" });
+  }
+  
+  try {
+    await sendToChannel(channel, {
+      event: "channel.test",
+      sentAt: new Date().toISOString(),
+      alert: null,
+      totalMatches: 0,
+      lowestPrice: null,
+      newDeals: [],
+      droppedDeals: []
+    });
+  } catch (err) {
+    console.log(`[ALERT CHANNELS] Test post to ${channel.type} channel ${channel.id} failed:`, err.message);
+    // Only the status: the error text could describe whatever answered on the other end
+    return res.status(502).json({
+      error: err.statusCode ? `Test message failed: the channel responded ${err.statusCode}` : "Test message failed: the channel couldn't be reached",
+      ...(err.statusCode ? { status: err.statusCode } : {})
+    });
+  }
+  
+  return res.status(200).json({
+    success: true,
+    message: `Test message sent to ${channel.label}.`
   });
 }
 
 // ============================================================================
-// MANAGE ALERTS (Cancel, Update, Remove)
+// BROWSER PUSH
+// ============================================================================
+function handlePushKey(req, res) {
+  if (!isPushConfigured()) {
+    return res.status(503).json({ error: "Browser notifications aren't set up" });
+  }
+  return res.status(200).json({ success: true, publicKey: getVapidPublicKey() });
+}
+
+// push-subscribe: { subscription } from PushSubscription.toJSON(); push-unsubscribe: { endpoint }
+async function handlePushSubscription(req, res) {
+  const { action, email, token, subscription, endpoint } = req.body;
+  
+  if (!email) {
+    return res.status(400).json({ error: "Email is required" });
+  }
+  
+  const cleanEmail = sanitizeInput(email).toLowerCase();
+  
+  if (!verifyManageToken(token, cleanEmail)) {
+    return res.status(401).json({ error: "This link is invalid or has expired. Request a fresh link to manage your alerts.", code: "INVALID_TOKEN" });
+  }
+  
+  // Prefs live alongside the alerts, so there has to be at least one
+  const alerts = await listAlertsByEmail(cleanEmail);
+  if (alerts.length === 0) {
+    return res.status(404).json({ error: "No alerts found" });
+  }
+  
+  const prefs = await getNotificationPrefs(cleanEmail);
+  let pushSubscriptions;
+  
+  if (action === "push-subscribe") {
+    if (!isPushConfigured()) {
+      return res.status(503).json({ error: "Browser notifications aren't set up" });
+    }
+    const parsed = parsePushSubscription(subscription, req.headers["user-agent"]);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    pushSubscriptions = addPushSubscription(prefs.pushSubscriptions, parsed.subscription);
+  } else {
+    pushSubscriptions = (prefs.pushSubscriptions || []).filter(s => s.endpoint !== endpoint);
+  }
+  
+  await updateNotificationPrefs(cleanEmail, { pushSubscriptions });
+  
+  console.log(`[ALERT PUSH] ${cleanEmail} ${action === "push-subscribe" ? "added" : "removed"} a push subscription (${pushSubscriptions.length} now)`);
+  
+  return res.status(200).json({
+    success: true,
+    pushSubscriptions: publicPushSubscriptions(pushSubscriptions),
+    message: action === "push-subscribe"
+      ? "Browser notifications are on for this device."
+      : "Browser notifications are off for that device."
+  });
+}
+
+// ============================================================================
+// DATA EXPORT / ERASURE (see _privacyShared.js)
+// ============================================================================
+async function handleExport(req, res) {
+  const { email, token } = req.body;
+  
+  if (!email) {
+    return res.status(400).json({ error: "Email is required" });
+  }
+  
+  const cleanEmail = sanitizeInput(email).toLowerCase();
+  
+  if (!verifyManageToken(token, cleanEmail)) {
+    return res.status(401).json({ error: "This link is invalid or has expired. Request a fresh link to manage your alerts.", code: "INVALID_TOKEN" });
+  }
+  
+  const data = await exportUserData(cleanEmail);
+  console.log(`[ALERT EXPORT] Data exported for ${cleanEmail} (${data.alerts.length} alerts, ${data.notifications.length} notifications)`);
+  
+  if (await isSuppressed(cleanEmail)) {
+    console.log(`[ALERT EXPORT] ${cleanEmail} has unsubscribed, not sending the receipt`);
+  } else {
+    try {
+      await getMailer().send({
+        to: cleanEmail,
+        from: process.env.SENDGRID_ALERTS_EMAIL,
+        subject: "📦 Your Shoe Beagle data export",
+        ...generateExportEmail(cleanEmail, data),
+        headers: buildListUnsubscribeHeaders(cleanEmail)
+      });
+    } catch (emailError) {
+      console.error("[ALERT EXPORT] Receipt email failed:", emailError);
+    }
+  }
+  
+  return res.status(200).json({ success: true, data });
+}
+
+async function handleErase(req, res) {
+  const { email, token } = req.body;
+  
+  if (!email) {
+    return res.status(400).json({ error: "Email is required" });
+  }
+  
+  const cleanEmail = sanitizeInput(email).toLowerCase();
+  
+  if (!verifyManageToken(token, cleanEmail)) {
+    return res.status(401).json({ error: "This link is invalid or has expired. Request a fresh link to manage your alerts.", code: "INVALID_TOKEN" });
+  }
+  
+  const wasSuppressed = await isSuppressed(cleanEmail);
+  const counts = await eraseUserData(cleanEmail);
+  console.log(`[ALERT ERASE] Erased ${cleanEmail}: ${counts.alerts} alerts, ${counts.notifications} notifications, ${counts.telegramChats} Telegram chats`);
+  
+  // The receipt goes out before the address is suppressed (unless it already was)
+  if (!wasSuppressed) {
+    try {
+      await getMailer().send({
+        to: cleanEmail,
+        from: process.env.SENDGRID_ALERTS_EMAIL,
+        subject: "🗑️ Your Shoe Beagle data has been erased",
+        ...generateErasedEmail(counts)
+      });
+    } catch (emailError) {
+      console.error("[ALERT ERASE] Receipt email failed:", emailError);
+    }
+  }
+  
+  await suppressEmail(cleanEmail, { reason: "erased", source: "my-alerts" });
+  
+  return res.status(200).json({
+    success: true,
+    erased: counts,
+    message: "All your data has been erased and we won't email you again. A confirmation is on its way to your inbox."
+  });
+}
+
+// ============================================================================
+// MANAGE ALERTS (Cancel, Update, Renew, Remove, Alert Channels)
 // ============================================================================
 async function handleManage(req, res) {
-  const { action, alertId, email, targetPrice } = req.body;
+  const { action, alertId, email, targetPrice, minPercentOff, mode, includeStores, excludeStores, channels, token } = req.body;
   
   // Validation
   if (!action || !alertId || !email) {
@@ -281,15 +839,14 @@ async function handleManage(req, res) {
   
   const cleanEmail = sanitizeInput(email).toLowerCase();
   
+  if (!verifyManageToken(token, cleanEmail)) {
+    return res.status(401).json({ error: "This link is invalid or has expired. Request a fresh link to manage your alerts.", code: "INVALID_TOKEN" });
+  }
+  
   // Load existing alerts
   let alerts = [];
   try {
-    const { blobs } = await list({ prefix: "alerts.json" });
-    if (blobs && blobs.length > 0) {
-      const response = await fetch(blobs[0].url);
-      const data = await response.json();
-      alerts = Array.isArray(data.alerts) ? data.alerts : [];
-    }
+    alerts = await listAlertsByEmail(cleanEmail);
   } catch (err) {
     return res.status(404).json({ error: "No alerts found" });
   }
@@ -314,15 +871,7 @@ async function handleManage(req, res) {
         return res.status(400).json({ error: "Alert is already cancelled" });
       }
       
-      alerts[alertIndex] = {
-        ...alert,
-        cancelledAt: Date.now()
-      };
-      
-      await put("alerts.json", JSON.stringify({ alerts, lastUpdated: new Date().toISOString() }), {
-        access: "public",
-        addRandomSuffix: false
-      });
+      await updateAlert(cleanEmail, alertId, { cancelledAt: Date.now() });
       
       console.log(`[ALERT CANCEL] Alert ${alertId} cancelled for ${cleanEmail}`);
       
@@ -332,41 +881,108 @@ async function handleManage(req, res) {
       });
     
     case "update":
-      // Update price and reset timer
-      const price = parseInt(targetPrice);
-      if (!price || price <= 0) {
-        return res.status(400).json({ error: "Valid target price is required" });
+      // Update criteria (price / percent off / mode) and reset timer
+      const criteria = parseAlertCriteria({ mode: mode || alertMode(alert), targetPrice, minPercentOff });
+      if (criteria.error) {
+        return res.status(400).json({ error: criteria.error });
       }
       
       if (alert.cancelledAt) {
         return res.status(400).json({ error: "Cannot update a cancelled alert" });
       }
       
+      if (isPendingAlert(alert)) {
+        return res.status(400).json({ error: "Please confirm this alert from your email before updating it" });
+      }
+      
       const ageDays = Math.floor((Date.now() - alert.setAt) / (1000 * 60 * 60 * 24));
       if (ageDays >= 30) {
         return res.status(400).json({ error: "Cannot update an expired alert" });
       }
       
-      alerts[alertIndex] = {
-        ...alert,
-        targetPrice: price,
+      // Store filters are only replaced when the client sends them
+      let storeUpdate = {};
+      if (includeStores !== undefined || excludeStores !== undefined) {
+        let knownStores;
+        try {
+          knownStores = await loadKnownStores();
+        } catch (err) {
+          console.error("[ALERT UPDATE] Could not load stores:", err.message);
+          return res.status(503).json({ error: "Store list is unavailable right now. Try again shortly." });
+        }
+        
+        const storeFilters = parseStoreFilters({ includeStores, excludeStores }, knownStores);
+        if (storeFilters.error) {
+          return res.status(400).json({ error: storeFilters.error });
+        }
+        storeUpdate = storeFilters;
+      }
+      
+      const changes = {
+        ...storeUpdate,
+        mode: criteria.mode,
+        targetPrice: criteria.targetPrice,
+        minPercentOff: criteria.minPercentOff,
+        lastSeenLowPrice: null,
+        notifiedDeals: {}, // New criteria -> everything matching is news again
         setAt: Date.now(), // Reset the timer
         lastNotifiedAt: null
       };
       
-      await put("alerts.json", JSON.stringify({ alerts, lastUpdated: new Date().toISOString() }), {
-        access: "public",
-        addRandomSuffix: false
-      });
+      await updateAlert(cleanEmail, alertId, changes);
       
-      console.log(`[ALERT UPDATE] Alert ${alertId} updated for ${cleanEmail}: $${price}`);
+      const updatedAlert = { ...alert, ...changes };
+      console.log(`[ALERT UPDATE] Alert ${alertId} updated for ${cleanEmail}: ${describeAlertCriteria(updatedAlert)}`);
       
       return res.status(200).json({
         success: true,
-        alert: alerts[alertIndex],
+        alert: updatedAlert,
         message: "Alert updated and reset to 30 days"
       });
     
+    case "renew": {
+      // Extend another 30 days, keeping criteria and notification history
+      if (!canRenewAlert(alert)) {
+        return res.status(400).json({ error: alert.cancelledAt || isPendingAlert(alert)
+          ? "Only confirmed, uncancelled alerts can be renewed"
+          : "This alert expired too long ago to renew. Please set a new alert." });
+      }
+      
+      const renewal = renewAlertChanges(alert);
+      await updateAlert(cleanEmail, alertId, renewal);
+      
+      console.log(`[ALERT RENEW] Alert ${alertId} renewed for ${cleanEmail} (renewal #${renewal.renewalCount})`);
+      
+      return res.status(200).json({
+        success: true,
+        alert: { ...alert, ...renewal },
+        message: "Alert renewed for another 30 days"
+      });
+    }
+    
+    case "alert-channels": {
+      // Where this alert's notifications go: "email" and/or the user's channel ids
+      if (alert.cancelledAt) {
+        return res.status(400).json({ error: "Cannot change a cancelled alert" });
+      }
+      
+      const prefs = await getNotificationPrefs(cleanEmail);
+      const parsed = parseAlertChannels(channels, prefs);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      
+      await updateAlert(cleanEmail, alertId, { channels: parsed.channels });
+      
+      console.log(`[ALERT CHANNELS] Alert ${alertId} for ${cleanEmail} now goes to ${parsed.channels.join(", ")}`);
+      
+      return res.status(200).json({
+        success: true,
+        alert: { ...alert, channels: parsed.channels },
+        message: "Alert channels saved"
+      });
+    }
+    
     case "remove":
       // Remove inactive alerts only
       const isCancelled = !!alert.cancelledAt;
@@ -377,12 +993,7 @@ async function handleManage(req, res) {
         return res.status(400).json({ error: "Can only remove inactive (cancelled or expired) alerts" });
       }
       
-      alerts.splice(alertIndex, 1);
-      
-      await put("alerts.json", JSON.stringify({ alerts, lastUpdated: new Date().toISOString() }), {
-        access: "public",
-        addRandomSuffix: false
-      });
+      await removeAlert(cleanEmail, alertId);
       
       console.log(`[ALERT REMOVE] Alert ${alertId} removed for ${cleanEmail}`);
       
@@ -392,6 +1003,6 @@ async function handleManage(req, res) {
       });
     
     default:
-      return res.status(400).json({ error: "Invalid action. Use 'cancel', 'update', or 'remove'" });
+      return res.status(400).json({ error: "Invalid action. Use 'cancel', 'update', 'renew', 'alert-channels', or 'remove'" });
   }
 }
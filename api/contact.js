@@ -0,0 +1,118 @@
+// /api/contact.js
+// The contact form (pages/contact.html): POST { name, email, message }.
+//
+// The message goes to the support inbox with Reply-To set to the sender, and the sender
+// gets an acknowledgement (skipped for unsubscribed addresses). The acknowledgement is fixed
+// text: anyone can type any address into the form, so echoing the name or message would let
+// it carry someone else's words to a stranger's inbox. Same sanitizeInput() rules as
+// /api/alerts, exactly one address (isSingleEmailAddress()), disposable addresses refused,
+// per-IP and per-address rate limits and the "website" honeypot (see _abuseShared.js).
+//
+// Env vars:
+//   CONTACT_TO_EMAIL                                support inbox the messages are sent to (the form is off without it)
+//   CONTACT_LIMIT_PER_IP / CONTACT_LIMIT_PER_EMAIL  see _abuseShared.js
+const { getMailer } = require("./_mailerShared");
+const { buildListUnsubscribeHeaders } = require("./_tokenShared");
+const { isSuppressed } = require("./_suppressionShared");
+const { generateContactSupportEmail, generateContactAcknowledgementEmail } = require("./_alertEmailsShared");
+const { sanitizeInput, isSingleEmailAddress } = require("./_alertsShared");
+const { clientIp } = require("./_requestShared");
+const { checkContactRateLimit, isDisposableEmail, isHoneypotFilled } = require("./_abuseShared");
+
+const MAX_NAME_LENGTH = 100;
+const MAX_MESSAGE_LENGTH = 5000;
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== "POST") {
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const ip = clientIp(req);
+
+    // A bot filled in the hidden field - look like it worked so it doesn't adapt
+    if (isHoneypotFilled(body)) {
+      console.log(`[CONTACT] Honeypot filled from ${ip}, ignoring`);
+      return res.status(200).json({ success: true, message: "Message sent - thank you!" });
+    }
+
+    const name = sanitizeInput(body.name, MAX_NAME_LENGTH);
+    const email = sanitizeInput(body.email).toLowerCase();
+    const message = sanitizeInput(body.message, MAX_MESSAGE_LENGTH);
+
+    if (!name) {
+      return res.status(400).json({ error: "Please tell us your name" });
+    }
+    if (!email || !isSingleEmailAddress(body.email)) {
+      return res.status(400).json({ error: "Valid email address is required" });
+    }
+    if (!message) {
+      return res.status(400).json({ error: "Please enter a message" });
+    }
+    if (String(body.message).trim().length > MAX_MESSAGE_LENGTH) {
+      return res.status(400).json({ error: `Messages can be up to ${MAX_MESSAGE_LENGTH} characters` });
+    }
+    if (isDisposableEmail(email)) {
+      return res.status(400).json({
+        error: "Please use a permanent email address so we can reply.",
+        code: "DISPOSABLE_EMAIL"
+      });
+    }
+
+    const supportEmail = process.env.CONTACT_TO_EMAIL;
+    if (!supportEmail) {
+      console.error("[CONTACT] CONTACT_TO_EMAIL is not set");
+      return res.status(503).json({ error: "The contact form is unavailable right now. Please try again later." });
+    }
+
+    const rateLimit = await checkContactRateLimit(ip, email);
+    if (rateLimit.limited) {
+      console.log(`[CONTACT] Rate limited (${rateLimit.reason}) for ${email} from ${ip}`);
+      res.setHeader("Retry-After", String(rateLimit.retryAfterSeconds));
+      return res.status(429).json({
+        error: "Too many messages from here. Please try again later.",
+        code: "RATE_LIMITED",
+        retryAfter: rateLimit.retryAfterSeconds
+      });
+    }
+
+    const contact = { name, email, message };
+
+    try {
+      await getMailer().send({
+        to: supportEmail,
+        from: process.env.SENDGRID_ALERTS_EMAIL,
+        replyTo: email,
+        subject: `✉️ Contact form: ${name}`,
+        ...generateContactSupportEmail(contact, ip)
+      });
+    } catch (emailError) {
+      console.error("[CONTACT] Could not send message to support:", emailError);
+      return res.status(502).json({ error: "Your message couldn't be sent right now. Please try again shortly." });
+    }
+
+    console.log(`[CONTACT] Message from ${email} sent to support`);
+
+    if (await isSuppressed(email)) {
+      console.log(`[CONTACT] ${email} has unsubscribed, not sending the acknowledgement`);
+    } else {
+      try {
+        await getMailer().send({
+          to: email,
+          from: process.env.SENDGRID_ALERTS_EMAIL,
+          subject: "🐾 We got your message",
+          ...generateContactAcknowledgementEmail(email),
+          headers: buildListUnsubscribeHeaders(email)
+        });
+      } catch (emailError) {
+        console.error("[CONTACT] Acknowledgement email failed:", emailError);
+      }
+    }
+
+    return res.status(200).json({ success: true, message: "Message sent - thank you!" });
+  } catch (err) {
+    console.error("[CONTACT] Error:", err);
+    return res.status(500).json({ error: "Something went wrong. Please try again." });
+  }
+};
@@ -1,309 +1,882 @@
 // /api/cron/check-alerts.js
-const { list } = require("@vercel/blob");
-const sgMail = require("@sendgrid/mail");
+const { getStorage } = require("../_storageShared");
+const { getMailer } = require("../_mailerShared");
+const { SITE_URL, buildListUnsubscribeHeaders } = require("../_tokenShared");
+const {
+  searchUrl,
+  generateMatchEmail,
+  generateDigestEmail,
+  generateExpiryReminderEmail,
+} = require("../_alertEmailsShared");
+const { loadSuppressionList } = require("../_suppressionShared");
+const { alertRoute, sendToChannel, formatTelegram } = require("../_channelsShared");
+const { sendPush, isExpiredSubscription } = require("../_pushShared");
+const { sendTelegramMessage, isBlockedChat } = require("../_telegramShared");
+const {
+  createDeliveryLog,
+  pruneDeliveryLog,
+  queueRetry,
+  listRetries,
+  completeRetry,
+  rescheduleRetry,
+} = require("../_deliveryShared");
+const {
+  BATCH_SIZE,
+  SEND_CONCURRENCY,
+  TIME_BUDGET_MS,
+  RunLostError,
+  emptyTotals,
+  claimRun,
+  saveRun,
+  addTotals,
+  mapWithConcurrency,
+} = require("../_alertRunShared");
+const { dealMatchesAlertName } = require("../_searchShared");
+const {
+  isActiveAlert,
+  isPendingAlert,
+  isStalePendingAlert,
+  isPrunableAlert,
+  alertExpiresAt,
+  needsExpiryReminder,
+  isDigestFrequency,
+  isDigestDue,
+  alertMode,
+  describeAlertCriteria,
+  appendAlertHistory,
+  dealPrice,
+} = require("../_alertsShared");
+const {
+  listShards,
+  loadUser,
+  findAlertById,
+  getNotificationPrefs,
+  recordAlertChanges,
+} = require("../_alertRepoShared");
 
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-
-// Matching logic from search.js
 function normalizeStr(s) {
   return String(s || "").trim().toLowerCase();
 }
 
-function tokenize(s) {
-  return normalizeStr(s)
-    .replace(/[^a-z0-9\s]+/g, " ")
-    .replace(/\s+/g, " ")
-    .split(" ")
-    .filter(Boolean);
+// Name matching uses the same tokenizer/scorer as /api/search (see _searchShared.js),
+// with the stricter alert rules on top; price and filters are alert-specific.
+function dealMatchesAlert(deal, alert) {
+  return dealMatchesAlertName(alert, deal) && dealMeetsAlertCriteria(deal, alert) && dealMatchesAlertFilters(deal, alert);
 }
 
-function squash(s) {
-  return normalizeStr(s).replace(/\s+/g, "");
+function dealPercentOff(deal) {
+  const sale = Number(deal.salePrice);
+  const original = Number(deal.price);
+  if (!Number.isFinite(sale) || !Number.isFinite(original) || original <= 0 || sale >= original) return 0;
+  return ((original - sale) / original) * 100;
 }
 
-function dealMatchesAlert(deal, alert) {
-  const dealBrandTokens = tokenize(deal.brand || "");
-  const dealModelTokens = tokenize(deal.model || "");
-  const dealSquashed = squash(`${deal.brand} ${deal.model}`);
-
-  const alertBrandTokens = tokenize(alert.brand || "");
-  const alertModelTokens = tokenize(alert.model || "");
-  const alertSquashed = squash(`${alert.brand} ${alert.model}`);
-
-  // Brand matching
-  let brandMatches = false;
-  if (alertBrandTokens.length > 0) {
-    brandMatches = alertBrandTokens.some(token => 
-      dealBrandTokens.some(dt => dt.startsWith(token) || token.startsWith(dt))
-    );
-  } else {
-    brandMatches = true;
+// Price side of the match, per alert mode. "lowest" alerts take every matching
+// shoe here; whether the cheapest one is a new low is decided per alert in the handler.
+function dealMeetsAlertCriteria(deal, alert) {
+  const price = dealPrice(deal);
+  if (!Number.isFinite(price) || price <= 0) return false;
+
+  switch (alertMode(alert)) {
+    case "percent":
+      return dealPercentOff(deal) >= Number(alert.minPercentOff);
+    case "lowest":
+      return true;
+    default:
+      return price <= Number(alert.targetPrice);
   }
+}
 
-  // Model matching
-  let modelMatches = false;
-  if (alertModelTokens.length > 0) {
-    modelMatches = alertModelTokens.some(token =>
-      dealModelTokens.some(dt => dt.startsWith(token) || token.startsWith(dt))
-    );
-    
-    // Squashed matching for "gt2000" vs "GT-2000"
-    if (!modelMatches && alertSquashed.length >= 4 && dealSquashed.length >= 4) {
-      modelMatches = dealSquashed.includes(alertSquashed) || alertSquashed.includes(dealSquashed);
+// Gender / shoe type filters - same rules as applyFilters() in index.html:
+// unisex deals satisfy either gender, "both" / "" on the alert means no filter.
+// Store allow/deny lists are matched case-insensitively on deal.store.
+function dealMatchesAlertFilters(deal, alert) {
+  const alertGender = normalizeStr(alert.gender);
+  const alertType = normalizeStr(alert.shoeType);
+  const dealGender = normalizeStr(deal.gender);
+  const dealType = normalizeStr(deal.shoeType);
+  const dealStore = normalizeStr(deal.store);
+
+  const genderOk = !alertGender || alertGender === "both" || dealGender === alertGender || dealGender === "unisex";
+  const typeOk = !alertType || dealType === alertType;
+
+  const include = Array.isArray(alert.includeStores) ? alert.includeStores.map(normalizeStr) : [];
+  const exclude = Array.isArray(alert.excludeStores) ? alert.excludeStores.map(normalizeStr) : [];
+  const storeOk = (!include.length || include.includes(dealStore)) && !exclude.includes(dealStore);
+
+  return genderOk && typeOk && storeOk;
+}
+
+// The alert's shoe at any price - for alert.lowestPriceSeen
+function dealIsAlertShoe(deal, alert) {
+  const price = dealPrice(deal);
+  return Number.isFinite(price) && price > 0 && dealMatchesAlertName(alert, deal) && dealMatchesAlertFilters(deal, alert);
+}
+
+function cheapestDeal(deals) {
+  return deals.reduce((best, deal) => (!best || dealPrice(deal) < dealPrice(best) ? deal : best), null);
+}
+
+// Where a notification went, for alert.history
+function routeChannels(route) {
+  return [
+    ...(route.email ? ["email"] : []),
+    ...route.channels.map(c => c.type),
+    ...(route.push.length ? ["push"] : []),
+    ...(route.telegram ? ["telegram"] : [])
+  ];
+}
+
+// Deals are identified across runs by store + product URL
+function dealKey(deal) {
+  return `${deal.store}|${deal.url}`;
+}
+
+// Split matches into deals we've never emailed about and deals whose price
+// dropped below what we last emailed. Everything else was already notified.
+function diffAgainstNotified(matches, notifiedDeals) {
+  const notified = notifiedDeals || {};
+  const newDeals = [];
+  const droppedDeals = [];
+
+  for (const deal of matches) {
+    const previousPrice = notified[dealKey(deal)];
+    if (previousPrice == null) {
+      newDeals.push(deal);
+    } else if (dealPrice(deal) < Number(previousPrice)) {
+      droppedDeals.push({ ...deal, previousPrice: Number(previousPrice) });
     }
-  } else {
-    modelMatches = true;
   }
 
-  // Price matching
-  const dealPrice = Number(deal.salePrice ?? deal.price);
-  const alertPrice = Number(alert.targetPrice);
-  const priceMatches = dealPrice <= alertPrice;
+  return { newDeals, droppedDeals };
+}
+
+// Record what we just emailed. Entries for deals that have left deals.json are
+// dropped so the map doesn't grow forever (a deal that comes back counts as new).
+function updateNotifiedDeals(notifiedDeals, emailedDeals, liveKeys) {
+  const next = {};
+  for (const [key, price] of Object.entries(notifiedDeals || {})) {
+    if (liveKeys.has(key)) next[key] = price;
+  }
+  for (const deal of emailedDeals) {
+    next[dealKey(deal)] = dealPrice(deal);
+  }
+  return next;
+}
+
+// "🎉 2 New Deals + 1 Price Drop" / "📉 1 Price Drop"
+function matchSubjectPrefix({ newDeals, droppedDeals }) {
+  const parts = [];
+  if (newDeals.length) parts.push(`${newDeals.length} New Deal${newDeals.length > 1 ? 's' : ''}`);
+  if (droppedDeals.length) parts.push(`${droppedDeals.length} Price Drop${droppedDeals.length > 1 ? 's' : ''}`);
+  return `${newDeals.length ? '🎉' : '📉'} ${parts.join(' + ')}`;
+}
 
-  return brandMatches && modelMatches && priceMatches;
+// Subject + rendered body for each kind of email, shared by real runs and dry runs
+function matchMessage(alert, matches, changes, lowestPrice, now) {
+  const ageDays = Math.floor((now - alert.setAt) / (1000 * 60 * 60 * 24));
+  const daysLeft = Math.max(0, 30 - ageDays);
+  return {
+    to: alert.email,
+    from: process.env.SENDGRID_FROM_EMAIL,
+    subject: alertMode(alert) === "lowest"
+      ? `📉 New Low $${lowestPrice.toFixed(2)}: ${alert.brand} ${alert.model}`
+      : `${matchSubjectPrefix(changes)}: ${alert.brand} ${alert.model}`,
+    ...generateMatchEmail(alert, matches, daysLeft, changes),
+    headers: buildListUnsubscribeHeaders(alert.email)
+  };
 }
 
-function generateMatchEmail(alert, matches, daysLeft) {
-  // Sort by price (lowest first)
-  const sorted = matches.sort((a, b) => {
-    const priceA = Number(a.salePrice ?? a.price);
-    const priceB = Number(b.salePrice ?? b.price);
-    return priceA - priceB;
-  });
-
-  // Take top 12
-  const topDeals = sorted.slice(0, 12);
-
-  const dealsHtml = topDeals.map(deal => {
-    const price = Number(deal.salePrice ?? deal.price).toFixed(2);
-    const originalPrice = deal.price && deal.salePrice && Number(deal.price) > Number(deal.salePrice)
-      ? `<span style="text-decoration: line-through; color: #999; margin-left: 8px;">$${Number(deal.price).toFixed(2)}</span>`
-      : "";
-    
-    return `
-    <div style="border: 1px solid #ddd; border-radius: 8px; padding: 15px; margin-bottom: 15px; background: #f9f9f9;">
-      ${deal.image ? `<img src="${deal.image}" alt="${deal.brand} ${deal.model}" style="max-width: 150px; height: auto; border-radius: 4px; margin-bottom: 10px;">` : ""}
-      <h3 style="margin: 0 0 10px; color: #214478; font-size: 16px;">${deal.brand} ${deal.model}</h3>
-      <p style="margin: 5px 0; font-size: 14px;"><strong>Store:</strong> ${deal.store}</p>
-      <p style="margin: 5px 0; font-size: 14px;">
-        <strong>Price:</strong> 
-        <span style="color: #dc3545; font-size: 18px; font-weight: bold;">$${price}</span> 
-        ${originalPrice}
-      </p>
-      <a href="${deal.url}" style="display: inline-block; margin-top: 10px; padding: 10px 20px; background: #214478; color: white; text-decoration: none; border-radius: 5px; font-size: 14px;">View Deal</a>
-    </div>
-    `;
-  }).join('');
-
-  const searchQuery = encodeURIComponent(`${alert.brand} ${alert.model}`);
-
-  return `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-</head>
-<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4ede3;">
-  <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
-    <div style="background: white; border-radius: 10px; padding: 30px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-      <div style="text-align: center; margin-bottom: 30px;">
-        <img src="https://shoebeagle.com/images/logo.png" alt="Shoe Beagle" style="max-width: 300px; height: auto;">
-      </div>
-      
-      <h1 style="color: #214478; margin: 0 0 20px; font-size: 24px;">🎉 Great News! We Found Your Shoes!</h1>
-      
-      <p style="font-size: 16px; line-height: 1.6; color: #333; margin-bottom: 20px;">
-        We found <strong>${matches.length}</strong> deal${matches.length > 1 ? 's' : ''} for 
-        <strong>${alert.brand} ${alert.model}</strong> at or below your target price of 
-        <strong>$${Math.round(alert.targetPrice)}</strong>!
-      </p>
-
-      <div style="text-align: center; margin: 30px 0;">
-        <a href="https://shoebeagle.com/?query=${searchQuery}" 
-           style="display: inline-block; padding: 15px 40px; background: #28a745; color: white; text-decoration: none; border-radius: 5px; font-weight: bold; font-size: 16px;">
-          Click Here to View Your Deals
-        </a>
-      </div>
-
-      <p style="font-size: 14px; color: #666; text-align: center; margin-bottom: 30px;">
-        The search will automatically show you all ${matches.length} deals sorted by lowest price first
-      </p>
-
-      <h2 style="color: #214478; font-size: 18px; margin-top: 30px; margin-bottom: 15px;">
-        Top ${Math.min(12, topDeals.length)} Deals (Lowest Price First):
-      </h2>
-
-      ${dealsHtml}
-
-      <div style="margin-top: 30px; padding: 20px; background: #f4ede3; border-radius: 8px;">
-        <p style="margin: 0; font-size: 14px; color: #333; line-height: 1.6;">
-          <strong>Your alert will continue checking daily ${daysLeft > 0 ? `for the next ${daysLeft} days` : 'until the end of today'}</strong> 
-          (or until you cancel it). If we find more matches, we'll send you another update!
-        </p>
-      </div>
-
-      <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd;">
-        <p style="font-size: 14px; color: #666; margin-bottom: 15px;">
-          Want to manage or cancel this alert?
-        </p>
-        <a href="https://shoebeagle.com/pages/myalerts.html?email=${encodeURIComponent(alert.email)}" 
-           style="display: inline-block; padding: 10px 25px; background: #214478; color: white; text-decoration: none; border-radius: 5px; font-size: 14px;">
-          Manage My Alerts
-        </a>
-      </div>
-
-      <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; font-size: 12px; color: #666;">
-        <p style="margin: 5px 0;">
-          Shoe Beagle does not sell products directly and is not responsible for changes in price, 
-          availability, or shipping terms on retailer sites.
-        </p>
-      </div>
-    </div>
-  </div>
-</body>
-</html>
-  `.trim();
+function digestMessage(email, entries, frequency) {
+  const alertCount = entries.length;
+  return {
+    to: email,
+    from: process.env.SENDGRID_FROM_EMAIL,
+    subject: `🐶 Your ${frequency} Shoe Beagle digest: ${alertCount} alert${alertCount > 1 ? 's' : ''} with deals`,
+    ...generateDigestEmail(email, entries, frequency),
+    headers: buildListUnsubscribeHeaders(email)
+  };
+}
+
+function expiryReminderMessage(alert, daysLeft) {
+  return {
+    to: alert.email,
+    from: process.env.SENDGRID_FROM_EMAIL,
+    subject: `⏰ Your ${alert.brand} ${alert.model} alert expires ${daysLeft > 1 ? `in ${daysLeft} days` : "soon"}`,
+    ...generateExpiryReminderEmail(alert, daysLeft),
+    headers: buildListUnsubscribeHeaders(alert.email)
+  };
 }
 
+// Payload for webhook/Discord/Slack/Telegram (see _channelsShared.js): the same changes
+// the match email shows, as plain data. Scraped URLs are dropped unless they're http(s).
+function httpUrl(url) {
+  const value = String(url || "").trim();
+  return /^https?:\/\//i.test(value) ? value : null;
+}
+
+function dealSummary(deal) {
+  const price = dealPrice(deal);
+  return {
+    title: `${deal.brand} ${deal.model}`,
+    store: deal.store,
+    price,
+    originalPrice: Number(deal.price) > price ? Number(deal.price) : null,
+    previousPrice: deal.previousPrice ?? null,
+    url: httpUrl(deal.url),
+    image: httpUrl(deal.image)
+  };
+}
+
+function matchPayload(alert, matches, changes, lowestPrice) {
+  const byPrice = (a, b) => dealPrice(a) - dealPrice(b);
+  return {
+    event: "alert.match",
+    sentAt: new Date().toISOString(),
+    alert: {
+      id: alert.id,
+      shoe: `${alert.brand} ${alert.model}`,
+      brand: alert.brand,
+      model: alert.model,
+      criteria: describeAlertCriteria(alert),
+      mode: alertMode(alert),
+      gender: alert.gender || "both",
+      shoeType: alert.shoeType || ""
+    },
+    totalMatches: matches.length,
+    lowestPrice,
+    newDeals: changes.newDeals.slice().sort(byPrice).slice(0, 12).map(dealSummary),
+    droppedDeals: changes.droppedDeals.slice().sort(byPrice).slice(0, 12).map(dealSummary),
+    searchUrl: searchUrl(alert)
+  };
+}
+
+// Browser notification (see /sw.js): the best deal - cheapest of what's new or dropped -
+// and a deep link to the alert's search
+function pushPayload(alert, changes, lowestPrice) {
+  const changed = [...changes.newDeals, ...changes.droppedDeals];
+  const best = changed.reduce((a, b) => (dealPrice(b) < dealPrice(a) ? b : a));
+  const shoe = `${alert.brand} ${alert.model}`;
+  const title = alertMode(alert) === "lowest"
+    ? `New low for ${shoe}: $${lowestPrice.toFixed(2)}`
+    : `${matchSubjectPrefix(changes)} for ${shoe}`;
+  const more = changed.length > 1 ? ` (+${changed.length - 1} more)` : "";
+  return {
+    title,
+    body: `${best.brand} ${best.model} at ${best.store}: $${dealPrice(best).toFixed(2)}${more}`,
+    url: searchUrl(alert),
+    tag: `alert-${alert.id}`,
+    icon: `${SITE_URL}/images/favicon.png`
+  };
+}
+
+// What a dry run returns for a message it didn't send
+function previewMessage(message) {
+  return { to: message.to, subject: message.subject, html: message.html, text: message.text };
+}
+
+// Why an alert isn't checked at all
+function inactiveReason(alert) {
+  if (alert.cancelledAt) return "cancelled";
+  if (isPendingAlert(alert)) return "pending";
+  return "expired";
+}
+
+/**
+ * GET /api/cron/check-alerts
+ *   (no params)        daily run: email matches/digests/reminders, record what was sent
+ *   ?resume=1          only continue an unfinished run (the follow-up crons); never starts one
+ *   ?dryRun=1          same checks, but nothing is sent or recorded; returns a per-alert
+ *                      report with the skip reason and the rendered emails
+ *   ?preview=<alertId> dry run for that one alert
+ * Dry runs and previews contain live manage/renew links, so they always need CRON_SECRET.
+ *
+ * A real run goes through users in batches (see _alertRunShared.js) and stops starting new
+ * ones once ALERTS_RUN_TIME_BUDGET_MS is used up; the next invocation carries on from the
+ * saved cursor. Dry runs always cover everyone in one go, since they send nothing.
+ */
 module.exports = async (req, res) => {
   // Verify cron secret
   const authHeader = req.headers.authorization;
   const cronSecret = process.env.CRON_SECRET;
-
-  if (cronSecret && authHeader !== `Bearer ${cronSecret}`) {
-    console.log("[CRON] Unauthorized request");
+  const query = req.query || {};
+  const previewId = query.preview ? String(query.preview) : null;
+  const dryRun = !!previewId || ["1", "true"].includes(String(query.dryRun || "").toLowerCase());
+  const resumeOnly = !dryRun && ["1", "true"].includes(String(query.resume || "").toLowerCase());
+
+  // Without a CRON_SECRET the daily run stays open (as before), but dry runs are refused
+  const authorized = cronSecret ? authHeader === `Bearer ${cronSecret}` : !dryRun;
+  if (!authorized) {
+    console.log(`[CRON] Unauthorized ${dryRun ? "dry run " : ""}request`);
     return res.status(401).json({ error: "Unauthorized" });
   }
 
-  console.log("[CRON] Starting alert check...", new Date().toISOString());
+  console.log(`[CRON] Starting alert check${previewId ? ` (preview of ${previewId})` : dryRun ? " (dry run)" : resumeOnly ? " (resume)" : ""}...`, new Date().toISOString());
   const startTime = Date.now();
 
   try {
+    // Real runs share one cursor across invocations; only one invocation works on it at a time
+    let run = null;
+    if (!dryRun) {
+      const claim = await claimRun({ resumeOnly, now: startTime });
+      if (!claim.run) {
+        const message = claim.status === "busy" ? "Another invocation is already checking alerts" : "No unfinished alert run to resume";
+        console.log(`[CRON] ${message}`);
+        return res.status(200).json({ success: true, message, alertsChecked: 0, emailsSent: 0 });
+      }
+      run = claim.run;
+      console.log(`[CRON] ${claim.status === "resumed" ? `Resuming run ${run.id} after ${run.usersProcessed} users` : `Starting run ${run.id}`} (invocation ${run.invocations})`);
+    }
+
     // Load deals.json
     console.log("[CRON] Loading deals...");
-    const { blobs: dealBlobs } = await list({ prefix: "deals.json" });
+    const storage = getStorage();
+    const dealsFile = await storage.readJson("deals.json");
     
-    if (!dealBlobs || dealBlobs.length === 0) {
+    if (!dealsFile) {
       throw new Error("Could not locate deals.json");
     }
 
-    const dealsResponse = await fetch(dealBlobs[0].url);
-    const dealsData = await dealsResponse.json();
+    const dealsData = dealsFile.data || {};
     const deals = Array.isArray(dealsData.deals) ? dealsData.deals : [];
     
     console.log(`[CRON] Loaded ${deals.length} deals`);
 
-    // Load alerts.json
+    // Users still to check: just the one alert being previewed, or every shard after the
+    // cursor. Shards are loaded (snapshot + changes still in their event logs) batch by batch.
     console.log("[CRON] Loading alerts...");
-    const { blobs: alertBlobs } = await list({ prefix: "alerts.json" });
-    
-    if (!alertBlobs || alertBlobs.length === 0) {
-      console.log("[CRON] No alerts file found");
-      return res.status(200).json({ 
-        success: true, 
-        message: "No alerts to check",
-        alertsChecked: 0,
-        emailsSent: 0
-      });
+    let previewUser = null;
+    if (previewId) {
+      const previewAlert = await findAlertById(previewId);
+      if (!previewAlert) {
+        return res.status(404).json({ error: "Alert not found" });
+      }
+      previewUser = { email: previewAlert.email, alerts: [previewAlert], prefs: await getNotificationPrefs(previewAlert.email) };
     }
+    const shards = previewUser ? [] : (await listShards()).filter(shard => !run || !run.lastShard || shard > run.lastShard);
+    if (!previewUser) console.log(`[CRON] ${shards.length} users to check`);
+
+    // Addresses that unsubscribed from everything - checked before every send below
+    const suppressions = await loadSuppressionList();
+
+    // Dry run: what would happen to each alert/digest/reminder, and the email it would get
+    const report = dryRun ? { alerts: [], digests: [], reminders: [], retries: [] } : null;
+    const noteAlert = (alert, status, reason, details = {}) => {
+      if (!report) return;
+      report.alerts.push({
+        id: alert.id,
+        email: alert.email,
+        shoe: `${alert.brand} ${alert.model}`,
+        criteria: describeAlertCriteria(alert),
+        status,
+        reason,
+        ...details
+      });
+    };
 
-    const alertsResponse = await fetch(alertBlobs[0].url);
-    const alertsData = await alertsResponse.json();
-    let alerts = Array.isArray(alertsData.alerts) ? alertsData.alerts : [];
-
-    // Filter to active alerts only
     const now = Date.now();
-    const activeAlerts = alerts.filter(a => 
-      !a.cancelledAt && 
-      (a.setAt + 30 * 24 * 60 * 60 * 1000) > now
-    );
-
-    console.log(`[CRON] Found ${activeAlerts.length} active alerts`);
-
-    if (activeAlerts.length === 0) {
-      return res.status(200).json({ 
-        success: true, 
-        message: "No active alerts",
-        alertsChecked: 0,
-        emailsSent: 0
-      });
+    // This invocation's counts; run.totals adds up every invocation of the run
+    const counts = emptyTotals();
+    const baseTotals = run ? run.totals : emptyTotals();
+
+    // Changes are recorded as per-email ops, not by rewriting stored alerts, so signups and
+    // edits made while this runs aren't overwritten (see the notes in _alertRepoShared.js)
+    const opsByEmail = new Map();
+    const addOp = (alert, op) => {
+      if (!opsByEmail.has(alert.email)) opsByEmail.set(alert.email, []);
+      opsByEmail.get(alert.email).push(op);
+    };
+    // Record everything queued so far. Users are checked in parallel, so another user's
+    // flush may already have taken some of these.
+    let changesRecorded = 0;
+    const flushChanges = async () => {
+      if (dryRun) return;
+      for (const email of [...opsByEmail.keys()]) {
+        const ops = opsByEmail.get(email);
+        if (!ops) continue;
+        opsByEmail.delete(email);
+        await recordAlertChanges(email, ops);
+        changesRecorded += ops.length;
+      }
+    };
+
+    const deliveryLog = createDeliveryLog(now);
+
+    // Send one message. On failure it is logged and queued for the next run together with the
+    // ops it would have recorded, so the user still gets exactly this email. Returns true if sent.
+    const deliver = async (kind, message, alertIds, ops) => {
+      try {
+        const result = await getMailer().send(message);
+        for (const op of ops) addOp({ email: message.to }, op);
+        deliveryLog.record({ kind, alertIds, email: message.to, status: "sent", messageId: result.id, transport: result.transport });
+        return true;
+      } catch (err) {
+        console.error(`[CRON] Failed to send ${kind} email to ${message.to} (alerts ${alertIds.join(", ")}), queueing a retry:`, err.message);
+        counts.deliveryFailures++;
+        deliveryLog.record({ kind, alertIds, email: message.to, status: "failed", error: err });
+        try {
+          await queueRetry({ kind, message, alertIds, ops, error: err, now });
+        } catch (queueError) {
+          console.error("[CRON] Could not queue the retry:", queueError.message);
+        }
+        return false;
+      }
+    };
+
+    // Post one alert's payload to its chat/webhook channels; returns how many took it.
+    // Posts aren't queued for retry: a failure is logged, and when no other channel got
+    // through the alert's changes stay un-notified, so the next run tries again.
+    const postToChannels = async (channels, payload, alertIds, email) => {
+      let posted = 0;
+      for (const channel of channels) {
+        try {
+          await sendToChannel(channel, payload);
+          deliveryLog.record({ kind: "match", channel: channel.type, alertIds, email, status: "sent" });
+          counts.channelPosts++;
+          posted++;
+        } catch (err) {
+          console.error(`[CRON] ${channel.type} post for alerts ${alertIds.join(", ")} (${email}) failed:`, err.message);
+          deliveryLog.record({ kind: "match", channel: channel.type, alertIds, email, status: "failed", error: err });
+          counts.deliveryFailures++;
+        }
+      }
+      return posted;
+    };
+
+    // Push one alert's notification to the user's browsers; returns how many took it.
+    // Subscriptions the push service says are gone are added to `expired` for removal.
+    const pushToBrowsers = async (subscriptions, payload, alertIds, email, expired) => {
+      let pushed = 0;
+      for (const subscription of subscriptions) {
+        try {
+          await sendPush(subscription, payload);
+          deliveryLog.record({ kind: "match", channel: "push", alertIds, email, status: "sent" });
+          counts.pushSent++;
+          pushed++;
+        } catch (err) {
+          if (isExpiredSubscription(err)) {
+            console.log(`[CRON] Push subscription ${subscription.id} for ${email} has expired, removing it`);
+            expired.add(subscription.id);
+            continue;
+          }
+          console.error(`[CRON] Push for alerts ${alertIds.join(", ")} (${email}) failed:`, err.message);
+          deliveryLog.record({ kind: "match", channel: "push", alertIds, email, status: "failed", error: err });
+          counts.deliveryFailures++;
+        }
+      }
+      return pushed;
+    };
+
+    // Send one alert's payload to the user's linked Telegram chat; returns true if it went.
+    // A chat that blocked the bot gets unlinked (see the end of checkUser()).
+    const sendToTelegram = async (link, payload, alertIds, email, blocked) => {
+      try {
+        await sendTelegramMessage(link.chatId, formatTelegram(payload));
+        deliveryLog.record({ kind: "match", channel: "telegram", alertIds, email, status: "sent" });
+        counts.telegramSent++;
+        return true;
+      } catch (err) {
+        console.error(`[CRON] Telegram message for alerts ${alertIds.join(", ")} (${email}) failed:`, err.message);
+        deliveryLog.record({ kind: "match", channel: "telegram", alertIds, email, status: "failed", error: err });
+        counts.deliveryFailures++;
+        if (isBlockedChat(err)) blocked.add(String(link.chatId));
+        return false;
+      }
+    };
+
+    // Resend what failed on earlier runs first. Alerts with a queued email sit out this run's
+    // matching (or reminder), so the same deals aren't emailed twice.
+    const retryingDeals = new Set();
+    const retryingReminders = new Set();
+    for (const item of await listRetries(now)) {
+      for (const id of item.alertIds) (item.kind === "reminder" ? retryingReminders : retryingDeals).add(id);
+      if (!item.due) continue;
+
+      if (report) {
+        report.retries.push({ kind: item.kind, to: item.to, alertIds: item.alertIds, attempt: item.attempts + 1, lastError: item.lastError });
+        continue;
+      }
+      if (suppressions.has(item.to)) {
+        await completeRetry(item);
+        counts.suppressedSkipped++;
+        continue;
+      }
+
+      const attempt = item.attempts + 1;
+      try {
+        const result = await getMailer().send(item.message);
+        await completeRetry(item);
+        for (const op of item.ops) addOp({ email: item.to }, op);
+        deliveryLog.record({ kind: item.kind, alertIds: item.alertIds, email: item.to, status: "sent", messageId: result.id, transport: result.transport, attempt });
+        counts.retriesSent++;
+        console.log(`[CRON] Retry ${attempt} of ${item.kind} email to ${item.to} sent`);
+      } catch (err) {
+        const outcome = await rescheduleRetry(item, err, now);
+        deliveryLog.record({ kind: item.kind, alertIds: item.alertIds, email: item.to, status: outcome === "gave-up" ? "gave-up" : "failed", attempt, error: err });
+        counts.deliveryFailures++;
+        console.error(`[CRON] Retry ${attempt} of ${item.kind} email to ${item.to} failed${outcome === "gave-up" ? ", giving up" : ""}:`, err.message);
+      }
     }
+    await flushChanges();
+
+    const liveDealKeys = new Set(deals.map(dealKey));
+
+    // What we record once the user has been emailed about these changes, including
+    // the entry My Alerts shows in the alert's history
+    const notifiedChanges = (alert, kind, matches, changes, lowestPrice, route) => {
+      const best = cheapestDeal(matches);
+      const notified = {
+        lastNotifiedAt: now,
+        notifiedDeals: updateNotifiedDeals(
+          alert.notifiedDeals,
+          [...changes.newDeals, ...changes.droppedDeals],
+          liveDealKeys
+        ),
+        history: appendAlertHistory(alert, {
+          at: now,
+          kind,
+          matches: matches.length,
+          newDeals: changes.newDeals.length,
+          droppedDeals: changes.droppedDeals.length,
+          bestPrice: lowestPrice,
+          store: best ? best.store : null,
+          channels: routeChannels(route)
+        })
+      };
+      if (alertMode(alert) === "lowest") notified.lastSeenLowPrice = lowestPrice;
+      return notified;
+    };
+
+    // Everything for one user: clean-up of dead alerts, matching, their digest and expiry
+    // reminders. What was sent is recorded as soon as the user is done, so an invocation that
+    // takes over a run sees it (lastNotifiedAt, lastDigestSentAt, ...) and doesn't send it again.
+    const checkUser = async (user) => {
+      const prefs = user.prefs;
+      const activeAlerts = user.alerts.filter(a => isActiveAlert(a, now));
+      counts.alertsChecked += activeAlerts.length;
+
+      // Purge alerts never confirmed within the opt-in window, and delete alerts that have
+      // been cancelled/expired for longer than the retention period
+      for (const alert of user.alerts) {
+        if (isActiveAlert(alert, now)) continue;
+        const removal = isStalePendingAlert(alert, now) ? "purge" : isPrunableAlert(alert, now) ? "prune" : null;
+        if (removal) {
+          addOp(alert, { op: "remove", id: alert.id });
+          if (removal === "purge") counts.pendingPurged++;
+          else counts.inactivePruned++;
+        }
+        noteAlert(alert, "skip", inactiveReason(alert), removal ? { removal } : {});
+      }
+
+      // Digest users: [{ alert, matches, changes, lowestPrice, route }], sent after their alerts are checked
+      const digestEntries = [];
+      // Push subscription ids and Telegram chats that turned out to be dead
+      const expiredPush = new Set();
+      const blockedChats = new Set();
+
+      // Check each alert
+      for (const alert of activeAlerts) {
+        console.log(`[CRON] Checking alert ${alert.id} for ${alert.brand} ${alert.model}`);
+
+        // A new lowest price for the shoe is kept whether or not it meets the alert
+        const cheapest = cheapestDeal(deals.filter(deal => dealIsAlertShoe(deal, alert)));
+        if (cheapest && (!alert.lowestPriceSeen || dealPrice(cheapest) < Number(alert.lowestPriceSeen.price))) {
+          addOp(alert, {
+            op: "update",
+            id: alert.id,
+            changes: { lowestPriceSeen: { price: dealPrice(cheapest), store: cheapest.store, at: now } }
+          });
+        }
+
+        if (retryingDeals.has(alert.id)) {
+          noteAlert(alert, "skip", "retry-queued");
+          continue;
+        }
 
-    let emailsSent = 0;
-    let alertsUpdated = false;
+        // Find matching deals
+        const matches = deals.filter(deal => dealMatchesAlert(deal, alert));
+        if (matches.length === 0) {
+          noteAlert(alert, "skip", "no-matches", { matches: 0 });
+          continue;
+        }
 
-    // Check each alert
-    for (const alert of activeAlerts) {
-      console.log(`[CRON] Checking alert ${alert.id} for ${alert.brand} ${alert.model}`);
+        // "Any new low" alerts only fire when the cheapest match beats the last low we emailed
+        const lowestPrice = Math.min(...matches.map(dealPrice));
+        if (
+          alertMode(alert) === "lowest" &&
+          alert.lastSeenLowPrice != null &&
+          lowestPrice >= Number(alert.lastSeenLowPrice)
+        ) {
+          console.log(`[CRON] Skipping alert ${alert.id} (lowest $${lowestPrice} is not below last seen $${alert.lastSeenLowPrice})`);
+          noteAlert(alert, "skip", "no-new-low", { matches: matches.length, lowestPrice, lastSeenLowPrice: alert.lastSeenLowPrice });
+          continue;
+        }
 
-      // Find matching deals
-      const matches = deals.filter(deal => dealMatchesAlert(deal, alert));
+        // Only email about deals that are new or cheaper than what we already sent
+        const changes = diffAgainstNotified(matches, alert.notifiedDeals);
+        if (changes.newDeals.length === 0 && changes.droppedDeals.length === 0) {
+          console.log(`[CRON] Skipping alert ${alert.id} (all ${matches.length} matches already notified)`);
+          noteAlert(alert, "skip", "already-notified", { matches: matches.length });
+          continue;
+        }
 
-      if (matches.length > 0) {
         console.log(`[CRON] Found ${matches.length} matches for alert ${alert.id}`);
+        const details = {
+          matches: matches.length,
+          newDeals: changes.newDeals.length,
+          droppedDeals: changes.droppedDeals.length,
+          lowestPrice
+        };
+
+        // Email, the user's webhook/Discord/Slack channels, their browsers and/or their Telegram chat
+        const route = alertRoute(alert, prefs);
+
+        // Digest users get one email for all their alerts instead (no per-alert cooldown);
+        // the alert's channels, browsers and chat get theirs when the digest goes out. Changes stay
+        // un-notified until then, so nothing is missed in between.
+        if (route.email && isDigestFrequency(prefs)) {
+          digestEntries.push({ alert, matches, changes, lowestPrice, route });
+          noteAlert(alert, "digest", `${prefs.frequency}-digest`, details);
+          continue;
+        }
 
         // Check if we sent an email in the last 24 hours
         const lastNotified = alert.lastNotifiedAt || 0;
         const hoursSince = (now - lastNotified) / (1000 * 60 * 60);
 
-        if (hoursSince >= 24 || !alert.lastNotifiedAt) {
+        if (suppressions.has(alert.email)) {
+          console.log(`[CRON] Skipping alert ${alert.id} (${alert.email} has unsubscribed)`);
+          counts.suppressedSkipped++;
+          noteAlert(alert, "skip", "unsubscribed", details);
+        } else if (hoursSince >= 24 || !alert.lastNotifiedAt) {
           try {
-            // Calculate days left
-            const ageDays = Math.floor((now - alert.setAt) / (1000 * 60 * 60 * 24));
-            const daysLeft = Math.max(0, 30 - ageDays);
-
-            // Send email
-            const emailHtml = generateMatchEmail(alert, matches, daysLeft);
-            
-            await sgMail.send({
-              to: alert.email,
-              from: process.env.SENDGRID_FROM_EMAIL,
-              subject: `🎉 ${matches.length} Deal${matches.length > 1 ? 's' : ''} Found: ${alert.brand} ${alert.model}`,
-              html: emailHtml
-            });
-
-            // Update lastNotifiedAt
-            const alertIndex = alerts.findIndex(a => a.id === alert.id);
-            if (alertIndex >= 0) {
-              alerts[alertIndex].lastNotifiedAt = now;
-              alertsUpdated = true;
+            const message = route.email ? matchMessage(alert, matches, changes, lowestPrice, now) : null;
+            const payload = route.channels.length || route.telegram ? matchPayload(alert, matches, changes, lowestPrice) : null;
+            const push = route.push.length ? pushPayload(alert, changes, lowestPrice) : null;
+
+            if (dryRun) {
+              noteAlert(alert, "send", null, {
+                ...details,
+                message: message ? previewMessage(message) : null,
+                channels: route.channels.map(c => ({ id: c.id, type: c.type, label: c.label })),
+                ...(payload ? { payload } : {}),
+                ...(push ? { push: { devices: route.push.map(s => s.label), payload: push } } : {}),
+                ...(route.telegram ? { telegram: { chatId: route.telegram.chatId, text: formatTelegram(payload) } } : {})
+              });
+              if (message) counts.emailsSent++;
+              continue;
+            }
+
+            // Once sent: lastNotifiedAt, the deals/prices we just reported (and the low, for "lowest" alerts)
+            const ops = [{ op: "update", id: alert.id, changes: notifiedChanges(alert, "match", matches, changes, lowestPrice, route) }];
+
+            if (message && await deliver("match", message, [alert.id], ops)) {
+              counts.emailsSent++;
+              console.log(`[CRON] Email sent to ${alert.email}`);
             }
 
-            emailsSent++;
-            console.log(`[CRON] Email sent to ${alert.email}`);
+            // Without email, a post to any channel, browser or chat is what counts as notifying the user
+            let delivered = 0;
+            if (route.channels.length) {
+              delivered += await postToChannels(route.channels, payload, [alert.id], alert.email);
+            }
+            if (route.telegram && await sendToTelegram(route.telegram, payload, [alert.id], alert.email, blockedChats)) {
+              delivered++;
+            }
+            if (push) {
+              delivered += await pushToBrowsers(route.push, push, [alert.id], alert.email, expiredPush);
+            }
+            if (!message && delivered > 0) {
+              for (const op of ops) addOp(alert, op);
+            }
           } catch (emailError) {
-            console.error(`[CRON] Failed to send email for alert ${alert.id}:`, emailError);
+            console.error(`[CRON] Failed to build email for alert ${alert.id}:`, emailError);
           }
         } else {
           console.log(`[CRON] Skipping alert ${alert.id} (last notified ${hoursSince.toFixed(1)}h ago)`);
+          // Previews still show the email the alert would get once the cooldown is over
+          noteAlert(alert, "skip", "cooldown", {
+            ...details,
+            hoursSinceLastEmail: Math.round(hoursSince * 10) / 10,
+            ...(dryRun ? { message: previewMessage(matchMessage(alert, matches, changes, lowestPrice, now)) } : {})
+          });
         }
       }
-    }
 
-    // Save updated alerts if any were notified
-    if (alertsUpdated) {
-      const { put } = require("@vercel/blob");
-      await put("alerts.json", JSON.stringify({ alerts, lastUpdated: new Date().toISOString() }), {
-        access: "public",
-        addRandomSuffix: false
-      });
-      console.log("[CRON] Updated alerts.json with notification timestamps");
+      // One digest if this user's daily/weekly digest is due
+      if (digestEntries.length > 0) {
+        const email = user.email;
+        const noteDigest = (status, reason, message) => {
+          if (!report) return;
+          report.digests.push({
+            email,
+            frequency: prefs.frequency,
+            alertIds: digestEntries.map(e => e.alert.id),
+            status,
+            reason,
+            message: previewMessage(message || digestMessage(email, digestEntries, prefs.frequency))
+          });
+        };
+
+        if (!isDigestDue(prefs, now)) {
+          console.log(`[CRON] Holding ${digestEntries.length} alerts for ${email}'s ${prefs.frequency} digest (not due yet)`);
+          noteDigest("skip", "not-due");
+        } else if (suppressions.has(email)) {
+          console.log(`[CRON] Skipping digest for ${email} (unsubscribed)`);
+          counts.suppressedSkipped++;
+          noteDigest("skip", "unsubscribed");
+        } else {
+          try {
+            const message = digestMessage(email, digestEntries, prefs.frequency);
+
+            if (dryRun) {
+              noteDigest("send", null, message);
+              counts.digestsSent++;
+            } else if (await deliver("digest", message, digestEntries.map(e => e.alert.id), [
+              ...digestEntries.map(({ alert, matches, changes, lowestPrice, route }) => (
+                { op: "update", id: alert.id, changes: notifiedChanges(alert, "digest", matches, changes, lowestPrice, route) }
+              )),
+              { op: "prefs", changes: { lastDigestSentAt: now } }
+            ])) {
+              counts.digestsSent++;
+              console.log(`[CRON] ${prefs.frequency} digest sent to ${email} (${digestEntries.length} alerts)`);
+            }
+
+            if (!dryRun) {
+              for (const { alert, matches, changes, lowestPrice, route } of digestEntries) {
+                const payload = matchPayload(alert, matches, changes, lowestPrice);
+                if (route.channels.length) {
+                  await postToChannels(route.channels, payload, [alert.id], email);
+                }
+                if (route.telegram) {
+                  await sendToTelegram(route.telegram, payload, [alert.id], email, blockedChats);
+                }
+                if (route.push.length) {
+                  await pushToBrowsers(route.push, pushPayload(alert, changes, lowestPrice), [alert.id], email, expiredPush);
+                }
+              }
+            }
+          } catch (emailError) {
+            console.error(`[CRON] Failed to build digest for ${email}:`, emailError);
+          }
+        }
+      }
+
+      // Remind users a few days before an alert lapses, with a one-click renew link
+      for (const alert of activeAlerts.filter(a => needsExpiryReminder(a, now) && !retryingReminders.has(a.id))) {
+        const daysLeft = Math.max(0, Math.ceil((alertExpiresAt(alert) - now) / (1000 * 60 * 60 * 24)));
+        const message = expiryReminderMessage(alert, daysLeft);
+        const unsubscribed = suppressions.has(alert.email);
+
+        if (report) {
+          report.reminders.push({
+            id: alert.id,
+            email: alert.email,
+            daysLeft,
+            status: unsubscribed ? "skip" : "send",
+            reason: unsubscribed ? "unsubscribed" : null,
+            message: previewMessage(message)
+          });
+        }
+        if (unsubscribed) {
+          counts.suppressedSkipped++;
+          continue;
+        }
+        if (dryRun) {
+          counts.remindersSent++;
+          continue;
+        }
+
+        if (await deliver("reminder", message, [alert.id], [{ op: "update", id: alert.id, changes: { expiryReminderSentAt: now } }])) {
+          counts.remindersSent++;
+          console.log(`[CRON] Expiry reminder sent for alert ${alert.id}`);
+        }
+      }
+
+      if (expiredPush.size > 0) {
+        addOp({ email: user.email }, {
+          op: "prefs",
+          changes: { pushSubscriptions: (prefs.pushSubscriptions || []).filter(s => !expiredPush.has(s.id)) }
+        });
+      }
+
+      if (prefs.telegram && blockedChats.has(String(prefs.telegram.chatId))) {
+        console.log(`[CRON] Telegram chat for ${user.email} blocked the bot, unlinking it`);
+        addOp({ email: user.email }, { op: "prefs", changes: { telegram: null } });
+      }
+
+      await flushChanges();
+    };
+
+    // Batches of users, SEND_CONCURRENCY at a time; the cursor moves after every batch
+    let usersRemaining = shards.length;
+    if (previewUser) {
+      await checkUser(previewUser);
+    } else {
+      for (let i = 0; i < shards.length; i += BATCH_SIZE) {
+        // Always get through at least one batch, so every invocation moves the cursor
+        if (run && i > 0 && Date.now() - startTime > TIME_BUDGET_MS) {
+          console.log(`[CRON] Time budget used up, leaving ${usersRemaining} users for the next invocation`);
+          break;
+        }
+        const batch = shards.slice(i, i + BATCH_SIZE);
+        const users = (await mapWithConcurrency(batch, SEND_CONCURRENCY, loadUser)).filter(Boolean);
+        await mapWithConcurrency(users, SEND_CONCURRENCY, checkUser);
+        usersRemaining -= batch.length;
+
+        if (run) {
+          run = await saveRun(run, {
+            lastShard: batch[batch.length - 1],
+            usersProcessed: run.usersProcessed + batch.length,
+            totals: addTotals(baseTotals, counts)
+          });
+        }
+      }
+    }
+    const complete = usersRemaining === 0;
+
+    if (run) {
+      try {
+        await deliveryLog.save();
+        if (complete) await pruneDeliveryLog(now);
+      } catch (err) {
+        console.error("[CRON] Could not save the delivery log:", err.message);
+      }
+      // recordAlertChanges() compacts each shard it writes, so there is no sweep over every
+      // shard here - that would re-read the whole store outside the time budget
+      if (changesRecorded > 0) console.log(`[CRON] Recorded ${changesRecorded} alert changes`);
+      run = await saveRun(run, { totals: addTotals(baseTotals, counts), ...(complete ? { completedAt: Date.now() } : {}) });
     }
 
     const duration = Date.now() - startTime;
-    console.log(`[CRON] Check complete in ${duration}ms`);
-    console.log(`[CRON] Alerts checked: ${activeAlerts.length}, Emails sent: ${emailsSent}`);
+    console.log(`[CRON] Check ${complete ? "complete" : "paused"} in ${duration}ms${dryRun ? " (dry run, nothing sent or recorded)" : ""}`);
+    console.log(`[CRON] Alerts checked: ${counts.alertsChecked}, Emails sent: ${counts.emailsSent}, Digests: ${counts.digestsSent}, Expiry reminders: ${counts.remindersSent}, Retries sent: ${counts.retriesSent}, Channel posts: ${counts.channelPosts}, Push: ${counts.pushSent}, Telegram: ${counts.telegramSent}, Failed: ${counts.deliveryFailures}, Suppressed: ${counts.suppressedSkipped}`);
 
     return res.status(200).json({
       success: true,
-      message: "Alert check completed",
-      alertsChecked: activeAlerts.length,
-      emailsSent: emailsSent,
-      duration: duration
+      message: dryRun
+        ? "Dry run completed - nothing was sent or recorded"
+        : complete ? "Alert check completed" : "Alert check paused - the next invocation continues where this one stopped",
+      ...counts,
+      duration: duration,
+      ...(run ? {
+        run: {
+          id: run.id,
+          invocation: run.invocations,
+          complete,
+          usersProcessed: run.usersProcessed,
+          usersRemaining,
+          totals: run.totals
+        }
+      } : {}),
+      ...(dryRun ? { dryRun: true, report } : {})
     });
 
   } catch (error) {
+    if (error instanceof RunLostError) {
+      console.error("[CRON] Stopping:", error.message);
+      return res.status(409).json({ success: false, error: error.message });
+    }
     console.error("[CRON] Error:", error);
     return res.status(500).json({
       success: false,
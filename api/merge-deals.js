@@ -13,10 +13,14 @@
 //
 // IMPORTANT NOTE ABOUT scraper-data.json HISTORY
 // - To append to a rolling 30-day history, merge-deals must be able to READ the existing scraper-data.json.
-// - Vercel Blob "put" overwrites deterministically (same pathname), but merge-deals still needs the blob URL to fetch it.
-// - Recommended: set SCRAPER_DATA_BLOB_URL once (paste the blob URL returned by merge-deals after the first run).
-// - If SCRAPER_DATA_BLOB_URL is NOT set, merge-deals will still write scraper-data.json, but history will start fresh
-//   each time because it can’t read the previous version without the URL.
+// - If SCRAPER_DATA_BLOB_URL is set it is fetched directly; otherwise the previous scraper-data.json is
+//   looked up through the storage layer (_storageShared.js) by name.
+//
+// STORAGE
+// - All writes go through _storageShared.js (Vercel Blob by default, local files with STORAGE_BACKEND=local).
+// - With STORAGE_BACKEND=local, sources without a blob URL are read from their storage key
+//   (e.g. holabird-mens-road.json) before falling back to the scraper endpoint, so the whole
+//   pipeline can run offline against files written by the scrapers.
 //
 // Env vars (recommended):
 //   OTHER_DEALS_BLOB_URL
@@ -26,7 +30,7 @@
 //   BROOKS_SALE_BLOB_URL
 //   ASICS_SALE_BLOB_URL
 //   SHOEBACCA_CLEARANCE_BLOB_URL
-//   SCRAPER_DATA_BLOB_URL   <-- (recommended) allows rolling 30-day history to persist
+//   SCRAPER_DATA_BLOB_URL   (optional) read rolling history from this URL instead of storage
 //
 // Optional fallback (if you do NOT set blob URLs):
 //   Calls scraper endpoints directly:
@@ -39,7 +43,7 @@
 //     /api/scrapers/shoebacca-clearance
 
 const axios = require("axios");
-const { put } = require("@vercel/blob");
+const { getStorage } = require("./_storageShared");
 
 /** ------------ Utilities ------------ **/
 
@@ -327,7 +331,7 @@ async function fetchJson(url) {
   return resp.data;
 }
 
-async function loadDealsFromBlobOrEndpoint({ name, blobUrl, endpointUrl }) {
+async function loadDealsFromBlobOrEndpoint({ name, blobUrl, storageKey, endpointUrl }) {
   const metadata = {
     name,
     source: null,
@@ -350,6 +354,22 @@ async function loadDealsFromBlobOrEndpoint({ name, blobUrl, endpointUrl }) {
     return metadata;
   }
 
+  // Local storage: read what the scraper last wrote instead of calling it over HTTP
+  const storage = getStorage();
+  if (storageKey && storage.backend === "local") {
+    const file = await storage.readJson(storageKey);
+    if (file) {
+      const payload = file.data;
+      metadata.source = "storage";
+      metadata.deals = extractDealsFromPayload(payload);
+      metadata.blobUrl = file.url;
+      metadata.timestamp = payload.lastUpdated || payload.timestamp || null;
+      metadata.duration = payload.duration || null;
+      metadata.payloadMeta = payload;
+      return metadata;
+    }
+  }
+
   if (endpointUrl) {
     const payload = await fetchJson(endpointUrl);
 
@@ -954,7 +974,7 @@ module.exports = async (req, res) => {
   const baseUrl = getBaseUrl(req);
 
   // ============================================================================
-  // BLOB URLs (recommended - set these in Vercel environment variables)
+  // BLOB URLs (optional - set these in Vercel environment variables)
   // ============================================================================
   const OTHER_DEALS_BLOB_URL = process.env.OTHER_DEALS_BLOB_URL || "";
   const HOLABIRD_MENS_ROAD_BLOB_URL = process.env.HOLABIRD_MENS_ROAD_BLOB_URL || "";
@@ -986,36 +1006,43 @@ module.exports = async (req, res) => {
       {
         name: "Other (scrape-daily)",
         blobUrl: OTHER_DEALS_BLOB_URL || null,
+        storageKey: "deals-other.json",
         endpointUrl: OTHER_DEALS_BLOB_URL ? null : OTHER_DEALS_ENDPOINT,
       },
       {
         name: "Holabird Mens Road",
         blobUrl: HOLABIRD_MENS_ROAD_BLOB_URL || null,
+        storageKey: "holabird-mens-road.json",
         endpointUrl: HOLABIRD_MENS_ROAD_BLOB_URL ? null : HOLABIRD_MENS_ROAD_ENDPOINT,
       },
       {
         name: "Holabird Womens Road",
         blobUrl: HOLABIRD_WOMENS_ROAD_BLOB_URL || null,
+        storageKey: "holabird-womens-road.json",
         endpointUrl: HOLABIRD_WOMENS_ROAD_BLOB_URL ? null : HOLABIRD_WOMENS_ROAD_ENDPOINT,
       },
       {
         name: "Holabird Trail + Unisex",
         blobUrl: HOLABIRD_TRAIL_UNISEX_BLOB_URL || null,
+        storageKey: "holabird-trail-unisex.json",
         endpointUrl: HOLABIRD_TRAIL_UNISEX_BLOB_URL ? null : HOLABIRD_TRAIL_UNISEX_ENDPOINT,
       },
       {
         name: "Brooks Sale",
         blobUrl: BROOKS_SALE_BLOB_URL || null,
+        storageKey: "brooks-sale.json",
         endpointUrl: BROOKS_SALE_BLOB_URL ? null : BROOKS_SALE_ENDPOINT,
       },
       {
         name: "ASICS Sale",
         blobUrl: ASICS_SALE_BLOB_URL || null,
+        storageKey: "asics-sale.json",
         endpointUrl: ASICS_SALE_BLOB_URL ? null : ASICS_SALE_ENDPOINT,
       },
       {
         name: "Shoebacca Clearance",
         blobUrl: SHOEBACCA_CLEARANCE_BLOB_URL || null,
+        storageKey: "shoebacca-clearance.json",
         endpointUrl: SHOEBACCA_CLEARANCE_BLOB_URL ? null : SHOEBACCA_CLEARANCE_ENDPOINT,
       },
     ];
@@ -1134,43 +1161,32 @@ module.exports = async (req, res) => {
       todayRecords.push(...buildTodayScraperRecords({ sourceName: name, meta, perSourceOk: ok }));
     }
 
-    // Try to load existing history (only possible if SCRAPER_DATA_BLOB_URL is set)
+    // Load existing history (explicit URL if configured, else the stored scraper-data.json)
+    const storage = getStorage();
     let existingScraperData = null;
-    if (SCRAPER_DATA_BLOB_URL) {
-      try {
+    try {
+      if (SCRAPER_DATA_BLOB_URL) {
         existingScraperData = await fetchJson(SCRAPER_DATA_BLOB_URL);
-      } catch (e) {
-        console.log("[MERGE] Could not read SCRAPER_DATA_BLOB_URL (starting fresh):", e.message);
-        existingScraperData = null;
+      } else {
+        const file = await storage.readJson("scraper-data.json");
+        existingScraperData = file ? file.data : null;
       }
+    } catch (e) {
+      console.log("[MERGE] Could not read existing scraper-data.json (starting fresh):", e.message);
+      existingScraperData = null;
     }
 
     const scraperData = mergeRollingScraperHistory(existingScraperData, todayDayUTC, todayRecords, 30);
 
     // ============================================================================
-    // 10) Write blobs (overwrite each run)
+    // 10) Write outputs (overwrite each run)
     // ============================================================================
     const [dealsBlob, unalteredBlob, statsBlob, dailyDealsBlob, scraperDataBlob] = await Promise.all([
-      put("deals.json", JSON.stringify(output, null, 2), {
-        access: "public",
-        addRandomSuffix: false,
-      }),
-      put("unaltered-deals.json", JSON.stringify(unalteredPayload, null, 2), {
-        access: "public",
-        addRandomSuffix: false,
-      }),
-      put("stats.json", JSON.stringify(stats, null, 2), {
-        access: "public",
-        addRandomSuffix: false,
-      }),
-      put("twelve_daily_deals.json", JSON.stringify(dailyDealsPayload, null, 2), {
-        access: "public",
-        addRandomSuffix: false,
-      }),
-      put("scraper-data.json", JSON.stringify(scraperData, null, 2), {
-        access: "public",
-        addRandomSuffix: false,
-      }),
+      storage.writeJson("deals.json", output, { pretty: true }),
+      storage.writeJson("unaltered-deals.json", unalteredPayload, { pretty: true }),
+      storage.writeJson("stats.json", stats, { pretty: true }),
+      storage.writeJson("twelve_daily_deals.json", dailyDealsPayload, { pretty: true }),
+      storage.writeJson("scraper-data.json", scraperData, { pretty: true }),
     ]);
 
     const durationMs = Date.now() - start;
@@ -1202,11 +1218,10 @@ module.exports = async (req, res) => {
       duration: `${durationMs}ms`,
       timestamp: output.lastUpdated,
 
-      // helpful reminder for you in the response payload:
-      note:
-        SCRAPER_DATA_BLOB_URL
-          ? "scraper-data history appended (SCRAPER_DATA_BLOB_URL was set)"
-          : "scraper-data written, but to persist rolling 30-day history you should set SCRAPER_DATA_BLOB_URL to scraperDataBlobUrl",
+      storageBackend: storage.backend,
+      note: existingScraperData
+        ? "scraper-data history appended"
+        : "scraper-data written (no previous history found, started fresh)",
     });
   } catch (err) {
     console.error("[MERGE] Fatal error:", err);
@@ -9,7 +9,7 @@
 
 const axios = require("axios");
 const cheerio = require("cheerio");
-const { put } = require("@vercel/blob");
+const { getStorage } = require("./_storageShared");
 const { ApifyClient } = require("apify-client");
 const { cleanModelName } = require("./modelNameCleaner");
 
@@ -1053,10 +1053,7 @@ module.exports = async (req, res) => {
       deals: allDeals,
     };
 
-    const blob = await put("deals-other.json", JSON.stringify(output, null, 2), {
-      access: "public",
-      addRandomSuffix: false,
-    });
+    const blob = await getStorage().writeJson("deals-other.json", output, { pretty: true });
 
     const totalDuration = Date.now() - overallStartTime;
     console.log("[SCRAPER] Saved to blob:", blob.url);
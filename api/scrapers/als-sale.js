@@ -16,7 +16,7 @@
 
 const axios = require("axios");
 const cheerio = require("cheerio");
-const { put } = require("@vercel/blob");
+const { getStorage } = require("../_storageShared");
 
 const STORE = "ALS";
 const BASE = "https://www.als.com";
@@ -201,10 +201,7 @@ module.exports = async (req, res) => {
       deals,
     };
 
-    const blob = await put("als-sale.json", JSON.stringify(output, null, 2), {
-      access: "public",
-      addRandomSuffix: false,
-    });
+    const blob = await getStorage().writeJson("als-sale.json", output, { pretty: true });
 
     return res.status(200).json({
       success: true,
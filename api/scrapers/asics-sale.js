@@ -17,7 +17,7 @@
 
 const chromium = require("@sparticuz/chromium");
 const puppeteer = require("puppeteer-core");
-const { put } = require("@vercel/blob");
+const { getStorage } = require("../_storageShared");
 
 function normalizeGender(raw) {
   const g = String(raw || "").trim().toLowerCase();
@@ -92,14 +92,14 @@ async function scrapePage(page, url, gender) {
     if (process.env.ASICS_DEBUG_HTML === "1") {
       const html = await page.content();
       const safe = gender.replace(/\W+/g, "-").toLowerCase();
-      await put(`debug-asics-${safe}.html`, html, { access: "public", addRandomSuffix: false });
+      await getStorage().writeRaw(`debug-asics-${safe}.html`, html, { contentType: "text/html" });
     }
 
     // Optional screenshot
     if (process.env.ASICS_DEBUG_SHOT === "1") {
       const buf = await page.screenshot({ fullPage: true, type: "png" });
       const safe = gender.replace(/\W+/g, "-").toLowerCase();
-      await put(`debug-asics-${safe}.png`, buf, { access: "public", addRandomSuffix: false });
+      await getStorage().writeRaw(`debug-asics-${safe}.png`, buf, { contentType: "image/png" });
     }
 
     // Extract in page context
@@ -314,10 +314,7 @@ module.exports = async (req, res) => {
       deals: allDeals,
     };
 
-    const blob = await put("asics-sale.json", JSON.stringify(output, null, 2), {
-      access: "public",
-      addRandomSuffix: false,
-    });
+    const blob = await getStorage().writeJson("asics-sale.json", output, { pretty: true });
 
     const duration = Date.now() - start;
 
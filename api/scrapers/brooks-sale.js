@@ -3,7 +3,7 @@
 
 const FirecrawlApp = require('@mendable/firecrawl-js').default;
 const cheerio = require('cheerio');
-const { put } = require('@vercel/blob');
+const { getStorage } = require('../_storageShared');
 
 /**
  * Detect gender from product title or URL
@@ -199,10 +199,7 @@ module.exports = async (req, res) => {
       deals: deals
     };
     
-    const blob = await put('brooks-sale.json', JSON.stringify(output, null, 2), {
-      access: 'public',
-      addRandomSuffix: false
-    });
+    const blob = await getStorage().writeJson('brooks-sale.json', output, { pretty: true });
     
     return res.status(200).json({
       success: true,
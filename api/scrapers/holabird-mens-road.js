@@ -1,4 +1,4 @@
-const { put } = require("@vercel/blob");
+const { getStorage } = require("../_storageShared");
 const { scrapeHolabirdCollection, dedupeByUrl } = require("./_holabirdShared");
 
 const MENS_ROAD =
@@ -31,10 +31,7 @@ module.exports = async (req, res) => {
       deals: deduped,
     };
 
-    const blob = await put("holabird-mens-road.json", JSON.stringify(output, null, 2), {
-      access: "public",
-      addRandomSuffix: false,
-    });
+    const blob = await getStorage().writeJson("holabird-mens-road.json", output, { pretty: true });
 
     return res.status(200).json({
       success: true,
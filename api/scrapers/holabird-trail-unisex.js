@@ -1,4 +1,4 @@
-const { put } = require("@vercel/blob");
+const { getStorage } = require("../_storageShared");
 const { scrapeHolabirdCollection, dedupeByUrl } = require("./_holabirdShared");
 
 const WOMENS_TRAIL =
@@ -47,10 +47,7 @@ module.exports = async (req, res) => {
       deals: deduped,
     };
 
-    const blob = await put("holabird-trail-unisex.json", JSON.stringify(output, null, 2), {
-      access: "public",
-      addRandomSuffix: false,
-    });
+    const blob = await getStorage().writeJson("holabird-trail-unisex.json", output, { pretty: true });
 
     return res.status(200).json({
       success: true,
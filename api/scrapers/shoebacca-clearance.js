@@ -2,7 +2,7 @@
 // Scrapes Shoebacca clearance athletic running shoes using Shopify JSON API
 // UPDATED: now records scraped URLs (pageResults), timestamp, and duration like ASICS
 
-const { put } = require('@vercel/blob');
+const { getStorage } = require('../_storageShared');
 
 /**
  * Detect shoe type from product tags and title
@@ -357,10 +357,7 @@ module.exports = async (req, res) => {
       deals,
     };
 
-    const blob = await put('shoebacca-clearance.json', JSON.stringify(output, null, 2), {
-      access: 'public',
-      addRandomSuffix: false,
-    });
+    const blob = await getStorage().writeJson('shoebacca-clearance.json', output, { pretty: true });
 
     const duration = Date.now() - start;
 
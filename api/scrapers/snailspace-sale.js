@@ -5,7 +5,7 @@
 
 const FirecrawlApp = require('@mendable/firecrawl-js').default;
 const cheerio = require('cheerio');
-const { put } = require('@vercel/blob');
+const { getStorage } = require('../_storageShared');
 
 /**
  * Detect shoe type from title
@@ -350,10 +350,7 @@ module.exports = async (req, res) => {
     };
 
     // Save to Vercel Blob
-    const blob = await put('snailspace-sale.json', JSON.stringify(output, null, 2), {
-      access: 'public',
-      addRandomSuffix: false,
-    });
+    const blob = await getStorage().writeJson('snailspace-sale.json', output, { pretty: true });
 
     const duration = Date.now() - start;
 
@@ -4,162 +4,18 @@
 // - Handles gt2000 / gt-2000 / gt 2000 / 2000
 // - Handles prefix tolerance: asic -> asics
 // - Scores + sorts results (best matches first)
-// - Keeps your: rate limiting, requestId, caching, blob loading, schema mapping
-
-const { list } = require("@vercel/blob");
-
-/* ----------------------------- Normalization ----------------------------- */
-
-function normalizeSpaces(s) {
-  return String(s || "")
-    .toLowerCase()
-    .normalize("NFKD")
-    .replace(/[\u0300-\u036f]/g, "") // strip accents
-    .replace(/[^a-z0-9\s]+/g, " ")   // punctuation -> space
-    .replace(/\s+/g, " ")
-    .trim();
-}
-
-function squash(s) {
-  return normalizeSpaces(s).replace(/\s+/g, ""); // remove spaces too
-}
-
-function tokenize(s) {
-  const ns = normalizeSpaces(s);
-  return ns ? ns.split(" ").filter(Boolean) : [];
-}
-
-// Filter out pure-noise tokens. Keep numbers, keep >=2 char words.
-function isMeaningfulToken(t) {
-  if (!t) return false;
-  if (/^\d+$/.test(t)) return true;
-  return t.length >= 2;
-}
-
-// For "query=" mode: if user types one glued chunk (gt2000) we also try to infer tokens.
-function queryTokensFromRaw(rawQuery) {
-  const ns = normalizeSpaces(rawQuery);
-  const tokens = tokenize(ns).filter(isMeaningfulToken);
-
-  // If user typed something like "gt2000" (no spaces), add a split hint:
-  // - add number runs (2000)
-  // - add leading letters (gt)
-  const squashedQuery = squash(rawQuery);
-  if (tokens.length === 1 && squashedQuery.length >= 4 && /^[a-z0-9]+$/.test(squashedQuery)) {
-    const nums = squashedQuery.match(/\d+/g) || [];
-    const letters = squashedQuery.match(/[a-z]+/g) || [];
-    // Only add short letter chunks (gt) if present
-    const extras = [
-      ...letters.filter(x => x.length >= 2 && x.length <= 6),
-      ...nums.filter(x => x.length >= 2),
-    ];
-    return Array.from(new Set([...tokens, ...extras])).filter(isMeaningfulToken);
-  }
-
-  return tokens;
-}
-
-/* ------------------------------ Scoring --------------------------------- */
-
-// Build a searchable index for each deal once per request (cheap and clear).
-function buildIndex(deal) {
-  const brand = deal.brand || "";
-  const model = deal.model || "";
-  const title = deal.title || "";
-
-  const combined = `${brand} ${model} ${title}`;
-  const tokens = tokenize(combined);
-  const tokenSet = new Set(tokens);
-  const squashedCombined = squash(combined);
-
-  return { tokenSet, tokens, squashedCombined, brand, model, title };
-}
-
-// Score how well this deal matches the desired brand/model/query tokens.
-// Higher score = better rank.
-function scoreDeal({ brandTokens, modelTokens, queryTokens }, idx) {
-  let score = 0;
-
-  // Helpers
-  const hasExact = (t) => idx.tokenSet.has(t);
-  const hasPrefix = (t) => idx.tokens.some(dt => dt.startsWith(t));
-  const hasSquashed = (qSquashed) => idx.squashedCombined.includes(qSquashed);
-
-  // --- Brand field (if provided) should be relatively strong ---
-  if (brandTokens.length) {
-    let brandHits = 0;
-
-    for (const t of brandTokens) {
-      if (hasExact(t)) { score += 20; brandHits++; continue; }
-      if (hasPrefix(t)) { score += 12; brandHits++; continue; } // asic -> asics
-    }
-
-    // Require at least one brand hit if brand was provided (prevents weird matches)
-    if (brandHits === 0) return 0;
-
-    // Bonus if most brand tokens hit
-    score += Math.floor((brandHits / brandTokens.length) * 10);
-  }
-
-  // --- Model field (if provided) strong, allow numbers + squashed matching ---
-  if (modelTokens.length) {
-    let modelHits = 0;
-
-    const modelSquashed = squash(modelTokens.join(" "));
-    if (modelSquashed && modelSquashed.length >= 4 && hasSquashed(modelSquashed)) {
-      score += 25; // gt2000 matches GT-2000 regardless of separators
-      modelHits++;
-    }
-
-    for (const t of modelTokens) {
-      if (hasExact(t)) { score += /^\d+$/.test(t) ? 18 : 14; modelHits++; continue; }
-      if (hasPrefix(t)) { score += 9; modelHits++; continue; }
-      // numeric partial: "200" helps "2000" a bit, but only if token length >=2
-      if (/^\d+$/.test(t) && t.length >= 2 && idx.tokens.some(dt => /^\d+$/.test(dt) && dt.startsWith(t))) {
-        score += 7;
-        modelHits++;
-        continue;
-      }
-    }
-
-    // Require at least one model hit if model was provided
-    if (modelHits === 0) return 0;
-
-    score += Math.floor((modelHits / modelTokens.length) * 10);
-  }
-
-  // --- Free-text query tokens (if provided) moderate weight, order-independent ---
-  if (queryTokens.length) {
-    let hits = 0;
-
-    // Squashed full-query match can boost for glued user input like "gt2000"
-    const qSquashed = squash(queryTokens.join(" "));
-    if (qSquashed && qSquashed.length >= 4 && hasSquashed(qSquashed)) {
-      score += 18;
-      hits += 1;
-    }
-
-    for (const t of queryTokens) {
-      if (hasExact(t)) { score += /^\d+$/.test(t) ? 12 : 9; hits++; continue; }
-      if (hasPrefix(t)) { score += 6; hits++; continue; }
-    }
-
-    // For query-only searches, require a minimum hit rate
-    // (prevents a single tiny token from matching everything)
-    if (!brandTokens.length && !modelTokens.length) {
-      const required = queryTokens.length === 1 ? 1 : Math.ceil(queryTokens.length * 0.6);
-      if (hits < required) return 0;
-    }
-
-    // Bonus for coverage
-    score += Math.floor((hits / queryTokens.length) * 12);
-  }
-
-  // Tie-breaker: slight preference if model appears (more specific)
-  if (idx.model && idx.model.trim()) score += 2;
-
-  return score;
-}
+// - Keeps your: rate limiting, requestId, caching, storage loading, schema mapping
+
+const { getStorage } = require("./_storageShared");
+// Normalization + scoring live in _searchShared.js (also used by the check-alerts cron)
+const {
+  tokenize,
+  isMeaningfulToken,
+  queryTokensFromRaw,
+  rankDeals,
+} = require("./_searchShared");
+// Same client IP the alert sign-up limits use
+const { clientIp: getRateLimitKey } = require("./_requestShared");
 
 /* ------------------------------ Caching --------------------------------- */
 
@@ -188,16 +44,6 @@ const rateLimitMap = new Map();
 const RATE_LIMIT_WINDOW = 60 * 1000;
 const RATE_LIMIT_MAX = 10;
 
-function getRateLimitKey(req) {
-  return (
-    req.headers["x-forwarded-for"]?.split(",")[0]?.trim() ||
-    req.headers["x-real-ip"] ||
-    req.connection?.remoteAddress ||
-    req.socket?.remoteAddress ||
-    "unknown"
-  );
-}
-
 function isRateLimited(ip) {
   const now = Date.now();
   const record = rateLimitMap.get(ip);
@@ -285,22 +131,17 @@ module.exports = async (req, res) => {
       return res.status(200).json({ results: cached, requestId, cached: true });
     }
 
-    // Load deals.json blob
-    const { blobs } = await list({ prefix: "deals.json" });
-    if (!blobs || blobs.length === 0) {
-      console.error("[/api/search] Could not locate deals blob");
-      return res.status(500).json({ error: "Failed to load deals data", requestId });
-    }
-
-    const blob = blobs[0];
-
+    // Load deals.json (Vercel Blob, or local files when STORAGE_BACKEND=local)
     let dealsData;
     try {
-      const response = await fetch(blob.url);
-      if (!response.ok) throw new Error(`Blob fetch failed: ${response.status}`);
-      dealsData = await response.json();
-    } catch (blobError) {
-      console.error("[/api/search] Error fetching from blob:", blobError.message);
+      const file = await getStorage().readJson("deals.json", { cached: true });
+      if (!file) {
+        console.error("[/api/search] Could not locate deals.json");
+        return res.status(500).json({ error: "Failed to load deals data", requestId });
+      }
+      dealsData = file.data;
+    } catch (storageError) {
+      console.error("[/api/search] Error loading deals.json:", storageError.message);
       return res.status(500).json({ error: "Failed to load deals data", requestId });
     }
 
@@ -316,17 +157,7 @@ module.exports = async (req, res) => {
     // Score + rank
     const desired = { brandTokens, modelTokens, queryTokens };
 
-    const scored = [];
-    for (const deal of deals) {
-      const idx = buildIndex(deal);
-      const s = scoreDeal(desired, idx);
-      if (s > 0) scored.push({ deal, score: s });
-    }
-
-    scored.sort((a, b) => b.score - a.score);
-
-    const results = scored
-      .slice(0, 24)
+    const results = rankDeals(deals, desired, 24)
       .map(({ deal, score }) => ({
         title: deal.title,
         brand: deal.brand,
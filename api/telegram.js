@@ -0,0 +1,404 @@
+// /api/telegram.js
+// Telegram bot webhook: set and manage price alerts and search deals from a chat.
+//
+//   POST /api/telegram                            updates from Telegram (see _telegramShared.js for setup)
+//   GET  /api/telegram?action=link&email&token    "connect this chat" link from the /link email: sends
+//                                                 them to pages/telegram-link.html, which asks first
+//                                                 (link scanners prefetch GETs, so a GET never links)
+//   POST /api/telegram?action=link&email&token    the Connect button on that page
+//
+// Commands (private chats only):
+//   /link you@example.com      link this chat to your alerts (we email a confirmation link)
+//   /alert hoka clifton 110    $110 or less; also "30%" (percent off) or "low" (any new low)
+//   /myalerts                  list your alerts (no manage link - a chat isn't proof of owning the inbox)
+//   /cancel <id>               cancel one (the short id from /myalerts works)
+//   /search novablast          best current deals, ranked like the site search
+//   /unlink                    stop sending alerts here
+const { getStorage } = require("./_storageShared");
+const { getMailer } = require("./_mailerShared");
+const { SITE_URL, verifyToken, buildManageUrl, buildListUnsubscribeHeaders } = require("./_tokenShared");
+const { isSuppressed } = require("./_suppressionShared");
+const { generateTelegramLinkEmail } = require("./_alertEmailsShared");
+const { telegramEscape } = require("./_channelsShared");
+const { tokenize, queryTokensFromRaw, isMeaningfulToken, rankDeals } = require("./_searchShared");
+const {
+  ALERT_LIFETIME_DAYS,
+  parseNewAlert,
+  buildNewAlert,
+  describeAlertCriteria,
+  isPendingAlert,
+  isExpiredAlert,
+  isSingleEmailAddress,
+  dealPrice,
+} = require("./_alertsShared");
+const { isDisposableEmail, checkAlertLimit, checkTelegramLinkRateLimit } = require("./_abuseShared");
+const {
+  listAlertsByEmail,
+  createAlert,
+  addAccountEmail,
+  updateAlert,
+  getNotificationPrefs,
+  updateNotificationPrefs,
+} = require("./_alertRepoShared");
+const {
+  LINK_REQUEST_INTERVAL_MS,
+  isTelegramConfigured,
+  sendTelegramMessage,
+  getChat,
+  saveChat,
+  removeChat,
+  getLinkedEmail,
+  buildTelegramLinkUrl,
+} = require("./_telegramShared");
+
+const SEARCH_RESULTS = 5;
+
+const HELP_TEXT = [
+  "<b>🐶 Shoe Beagle</b> finds running shoe deals.",
+  "",
+  "/link you@example.com - connect this chat to your alerts",
+  "/alert hoka clifton 110 - alert me at $110 or less",
+  "/alert asics novablast 30% - at least 30% off",
+  "/alert brooks ghost low - any new lowest price",
+  "/myalerts - list your alerts",
+  "/cancel &lt;id&gt; - cancel an alert",
+  "/search novablast - today's best deals",
+  "/unlink - stop sending alerts here",
+].join("\n");
+
+const NOT_LINKED_TEXT = "This chat isn't linked to any alerts yet. Send /link you@example.com first.";
+
+function money(value) {
+  return `$${Number(value).toFixed(2)}`;
+}
+
+// "/alert@ShoeBeagleBot hoka clifton 110" -> { command: "alert", args: ["hoka", "clifton", "110"] }
+function parseCommand(text) {
+  const match = String(text || "").trim().match(/^\/([a-z_]+)(?:@\w+)?(?:\s+([\s\S]*))?$/i);
+  if (!match) return null;
+  return { command: match[1].toLowerCase(), args: (match[2] || "").split(/\s+/).filter(Boolean) };
+}
+
+// Short id for chat use: the random tail of "alert_<ms>_<random>"
+function shortAlertId(alert) {
+  return String(alert.id).split("_").pop();
+}
+
+async function loadDeals() {
+  const file = await getStorage().readJson("deals.json", { cached: true });
+  const data = file && file.data;
+  return (data && Array.isArray(data.deals)) ? data.deals : (Array.isArray(data) ? data : []);
+}
+
+// Split "new balance 1080 v13" into brand + model using the brands we have deals for
+// (longest match wins); otherwise the first word is the brand.
+function splitBrandModel(words, deals) {
+  const lowered = words.map(w => w.toLowerCase());
+  let best = null;
+  for (const brand of new Set(deals.map(d => d.brand).filter(Boolean))) {
+    const brandWords = String(brand).toLowerCase().split(/\s+/);
+    if (brandWords.length >= lowered.length) continue;
+    if (brandWords.every((w, i) => lowered[i] === w) && (!best || brandWords.length > best.words)) {
+      best = { brand, words: brandWords.length };
+    }
+  }
+  const modelWords = words.slice(best ? best.words : 1);
+  const capitalize = w => w.charAt(0).toUpperCase() + w.slice(1);
+  return {
+    brand: best ? best.brand : capitalize(words[0]),
+    model: modelWords.map(capitalize).join(" "),
+  };
+}
+
+// The last word(s) of /alert: "110" / "$110", "30%" / "30% off", "low" / "lowest"
+function parseCriteriaArg(args) {
+  const rest = [...args];
+  if (rest.length && rest[rest.length - 1].toLowerCase() === "off") rest.pop();
+  const last = (rest.pop() || "").toLowerCase();
+
+  let criteria = null;
+  const price = last.match(/^\$?(\d+)$/);
+  const percent = last.match(/^(\d+)%$/);
+  if (price) criteria = { mode: "target", targetPrice: price[1] };
+  else if (percent) criteria = { mode: "percent", minPercentOff: percent[1] };
+  else if (["low", "lowest", "newlow", "new-low"].includes(last)) criteria = { mode: "lowest" };
+
+  return { criteria, words: rest };
+}
+
+function alertLine(alert) {
+  const status = alert.cancelledAt ? " (cancelled)"
+    : isPendingAlert(alert) ? " (waiting for email confirmation)"
+    : isExpiredAlert(alert) ? " (expired)"
+    : "";
+  return `• <b>${telegramEscape(`${alert.brand} ${alert.model}`)}</b> - ${telegramEscape(describeAlertCriteria(alert))}${status}\n   id: <code>${telegramEscape(shortAlertId(alert))}</code>`;
+}
+
+// ============================================================================
+// COMMANDS - each returns the reply text (Telegram HTML)
+// ============================================================================
+async function commandLink(message, args) {
+  const email = String(args[0] || "").trim().toLowerCase();
+  if (args.length !== 1 || !isSingleEmailAddress(email)) {
+    return "Send /link followed by your email address, e.g. /link you@example.com";
+  }
+  if (isDisposableEmail(email)) {
+    return "Please use a permanent email address - disposable inboxes can't receive alerts.";
+  }
+
+  const chatId = message.chat.id;
+  const chat = (await getChat(chatId)) || { chatId, email: null, linkedAt: null };
+  if (chat.linkRequestedAt && Date.now() - chat.linkRequestedAt < LINK_REQUEST_INTERVAL_MS) {
+    return "We've just sent a link - check your inbox (and spam folder). You can ask for another in a few minutes.";
+  }
+
+  const reply = `Check your inbox at <b>${telegramEscape(email)}</b> and click the link to connect this chat.`;
+  await saveChat({ ...chat, username: (message.from && message.from.username) || null, linkRequestedAt: Date.now() });
+
+  const rateLimit = await checkTelegramLinkRateLimit(email);
+  if (rateLimit.limited) {
+    console.log(`[TELEGRAM] Link email to ${email} rate limited (${rateLimit.reason}) for chat ${chatId}`);
+    return "Too many link emails have gone to that address. Check your inbox for the last one, or try again tomorrow.";
+  }
+
+  // Same reply either way, so the bot can't be used to find out who has unsubscribed
+  if (await isSuppressed(email)) {
+    console.log(`[TELEGRAM] ${email} has unsubscribed, not sending a link`);
+    return reply;
+  }
+
+  try {
+    const username = message.from && message.from.username;
+    await getMailer().send({
+      to: email,
+      from: process.env.SENDGRID_ALERTS_EMAIL,
+      subject: "💬 Connect Shoe Beagle to Telegram",
+      ...generateTelegramLinkEmail(email, buildTelegramLinkUrl(email, chatId), username),
+      headers: buildListUnsubscribeHeaders(email)
+    });
+    console.log(`[TELEGRAM] Link email sent to ${email} for chat ${chatId}`);
+  } catch (emailError) {
+    console.error("[TELEGRAM] Link email failed:", emailError);
+    return "Sorry, we couldn't send the email just now. Please try again later.";
+  }
+  return reply;
+}
+
+async function commandUnlink(message) {
+  const chatId = message.chat.id;
+  const email = await getLinkedEmail(chatId);
+  if (!email) return "This chat isn't linked to any alerts.";
+
+  const prefs = await getNotificationPrefs(email);
+  if (prefs.telegram && String(prefs.telegram.chatId) === String(chatId)) {
+    await updateNotificationPrefs(email, { telegram: null });
+  }
+  await removeChat(chatId);
+  console.log(`[TELEGRAM] Chat ${chatId} unlinked from ${email}`);
+  return "Done - alerts won't be sent here any more. Alerts that only went to Telegram will go to your email instead.";
+}
+
+async function commandAlert(message, args) {
+  const email = await getLinkedEmail(message.chat.id);
+  if (!email) return NOT_LINKED_TEXT;
+
+  const { criteria, words } = parseCriteriaArg(args);
+  if (!criteria || words.length < 2) {
+    return "Send the brand, model and price, e.g.\n/alert hoka clifton 110\n/alert asics novablast 30%\n/alert brooks ghost low";
+  }
+
+  const { brand, model } = splitBrandModel(words, await loadDeals());
+  const parsed = parseNewAlert({ email, brand, model, ...criteria });
+  if (parsed.error) return telegramEscape(parsed.error);
+
+  if (await isSuppressed(email)) {
+    return "This address has unsubscribed from Shoe Beagle. Use the Resubscribe button on the unsubscribe page (linked from any of our emails) to get alerts again.";
+  }
+
+  const limit = await checkAlertLimit(email);
+  if (!limit.allowed) {
+    return `You already have ${limit.count} active alerts (the limit is ${limit.limit}). Cancel one first (/myalerts shows them).`;
+  }
+
+  // The chat was linked from the email link, so there is nothing left to confirm
+  const now = Date.now();
+  const alert = buildNewAlert(parsed.fields, { pendingSince: null, confirmedAt: now, channels: ["telegram"] }, now);
+  await createAlert(alert);
+  await addAccountEmail(email);
+
+  console.log(`[TELEGRAM] Alert ${alert.id} created for ${email}: ${alert.brand} ${alert.model}, ${describeAlertCriteria(alert)}`);
+  return [
+    `✅ Alert set for <b>${telegramEscape(`${alert.brand} ${alert.model}`)}</b>: ${telegramEscape(describeAlertCriteria(alert))}.`,
+    `We check prices daily and message you here when we find a deal. It runs for ${ALERT_LIFETIME_DAYS} days.`,
+    `id: <code>${telegramEscape(shortAlertId(alert))}</code>`,
+  ].join("\n");
+}
+
+async function commandMyAlerts(message) {
+  const email = await getLinkedEmail(message.chat.id);
+  if (!email) return NOT_LINKED_TEXT;
+
+  const alerts = (await listAlertsByEmail(email)).sort((a, b) => (b.setAt || 0) - (a.setAt || 0));
+  if (!alerts.length) {
+    return "You don't have any alerts yet. Set one with /alert hoka clifton 110";
+  }
+  // A manage link would hand control of the account to whoever holds the chat, so point
+  // at My Alerts, which emails one to the address
+  const manageLink = `<a href="${telegramEscape(`${SITE_URL}/pages/myalerts.html`)}">Manage them on Shoe Beagle</a> (we'll email you a link)`;
+  return [`<b>Your alerts (${telegramEscape(email)})</b>`, "", ...alerts.map(alertLine), "", manageLink].join("\n");
+}
+
+async function commandCancel(message, args) {
+  const email = await getLinkedEmail(message.chat.id);
+  if (!email) return NOT_LINKED_TEXT;
+
+  const wanted = String(args[0] || "").trim();
+  if (!wanted) return "Send /cancel followed by the alert's id from /myalerts.";
+
+  const alerts = await listAlertsByEmail(email);
+  const alert = alerts.find(a => a.id === wanted || shortAlertId(a) === wanted);
+  if (!alert) return "No alert with that id. /myalerts lists them.";
+  if (alert.cancelledAt) return "That alert is already cancelled.";
+
+  await updateAlert(email, alert.id, { cancelledAt: Date.now() });
+  console.log(`[TELEGRAM] Alert ${alert.id} cancelled for ${email}`);
+  return `Cancelled your alert for <b>${telegramEscape(`${alert.brand} ${alert.model}`)}</b>.`;
+}
+
+async function commandSearch(message, args) {
+  const rawQuery = args.join(" ").slice(0, 100);
+  const queryTokens = queryTokensFromRaw(rawQuery).filter(isMeaningfulToken);
+  if (!queryTokens.length) return "Send /search followed by a shoe, e.g. /search novablast";
+
+  // Same price as alerts and emails use; deals without one can't be shown
+  const priced = (await loadDeals()).filter(deal => dealPrice(deal) > 0);
+  const ranked = rankDeals(priced, { brandTokens: [], modelTokens: [], queryTokens }, SEARCH_RESULTS);
+  const searchUrl = `${SITE_URL}/?query=${encodeURIComponent(tokenize(rawQuery).join(" "))}`;
+  if (!ranked.length) {
+    return `No deals for "${telegramEscape(rawQuery)}" right now. Set an alert and we'll tell you when there is one.`;
+  }
+
+  const lines = ranked.map(({ deal }) => {
+    const title = telegramEscape(deal.title || `${deal.brand} ${deal.model}`);
+    const link = /^https?:\/\//i.test(String(deal.url || "")) ? `<a href="${telegramEscape(deal.url).replace(/"/g, "&quot;")}">${title}</a>` : title;
+    const price = dealPrice(deal);
+    const was = Number(deal.price) > price ? ` (was ${money(deal.price)})` : "";
+    return `• ${link}\n   ${telegramEscape(deal.store)} · ${money(price)}${was}`;
+  });
+  return [`<b>Top deals for "${telegramEscape(rawQuery)}"</b>`, "", ...lines, "", `<a href="${telegramEscape(searchUrl)}">See all on Shoe Beagle</a>`].join("\n");
+}
+
+const COMMANDS = {
+  start: async () => HELP_TEXT,
+  help: async () => HELP_TEXT,
+  link: commandLink,
+  unlink: commandUnlink,
+  alert: commandAlert,
+  myalerts: commandMyAlerts,
+  cancel: commandCancel,
+  search: commandSearch,
+};
+
+async function handleMessage(message) {
+  const chatId = message.chat.id;
+
+  // Group members could cancel each other's alerts, so the bot only works one-to-one
+  if (message.chat.type !== "private") {
+    await sendTelegramMessage(chatId, "Message me directly to use Shoe Beagle.");
+    return;
+  }
+
+  const parsed = parseCommand(message.text);
+  const handler = parsed && COMMANDS[parsed.command];
+  let reply;
+  try {
+    reply = handler ? await handler(message, parsed.args) : `I didn't understand that.\n\n${HELP_TEXT}`;
+  } catch (err) {
+    console.error(`[TELEGRAM] /${parsed.command} failed for chat ${chatId}:`, err);
+    reply = "Sorry, something went wrong. Please try again in a minute.";
+  }
+  await sendTelegramMessage(chatId, reply);
+}
+
+// ============================================================================
+// LINK A CHAT (the Connect button on pages/telegram-link.html)
+// ============================================================================
+async function handleLink(req, res) {
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const email = req.query.email || body.email;
+  const token = req.query.token || body.token;
+  const cleanEmail = String(email || "").trim().toLowerCase();
+
+  const payload = verifyToken(token, { purpose: "telegram-link", email: cleanEmail });
+  const chat = payload && await getChat(payload.c);
+  if (!payload || !chat) {
+    return res.status(401).json({ error: "This link is invalid or has expired. Send /link to the bot again.", code: "INVALID_TOKEN" });
+  }
+
+  // One chat per email and one email per chat: drop whatever either side was linked to
+  const prefs = await getNotificationPrefs(cleanEmail);
+  if (prefs.telegram && String(prefs.telegram.chatId) !== String(chat.chatId)) {
+    await removeChat(prefs.telegram.chatId);
+  }
+  if (chat.email && chat.email !== cleanEmail) {
+    await updateNotificationPrefs(chat.email, { telegram: null });
+  }
+
+  const linkedAt = Date.now();
+  await saveChat({ ...chat, email: cleanEmail, linkedAt });
+  await updateNotificationPrefs(cleanEmail, { telegram: { chatId: chat.chatId, username: chat.username || null, linkedAt } });
+  console.log(`[TELEGRAM] Chat ${chat.chatId} linked to ${cleanEmail}`);
+
+  try {
+    await sendTelegramMessage(chat.chatId, `✅ Linked to <b>${telegramEscape(cleanEmail)}</b>. Your alerts will be sent here too.\n\nSet a new one with /alert hoka clifton 110`);
+  } catch (err) {
+    console.error(`[TELEGRAM] Could not message chat ${chat.chatId}:`, err.message);
+  }
+
+  // The link came from the address's inbox, so it can go on to My Alerts like a confirm link
+  return res.status(200).json({
+    success: true,
+    message: "Telegram connected! Your alerts will be sent to the chat too.",
+    redirectUrl: `${buildManageUrl(cleanEmail)}&telegram=linked`
+  });
+}
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+module.exports = async (req, res) => {
+  try {
+    if (req.query.action === "link") {
+      if (req.method === "GET") {
+        const email = String(req.query.email || "").trim().toLowerCase();
+        return res.redirect(302, `${SITE_URL}/pages/telegram-link.html?email=${encodeURIComponent(email)}&token=${encodeURIComponent(req.query.token || "")}`);
+      }
+      if (req.method === "POST") return await handleLink(req, res);
+    }
+
+    if (req.method !== "POST") {
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    if (!isTelegramConfigured() || !process.env.TELEGRAM_WEBHOOK_SECRET) {
+      return res.status(503).json({ error: "Telegram bot isn't set up" });
+    }
+    if (req.headers["x-telegram-bot-api-secret-token"] !== process.env.TELEGRAM_WEBHOOK_SECRET) {
+      console.log("[TELEGRAM] Update with a missing/wrong secret token");
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    // Edits, joins, stickers... are ignored
+    const message = req.body && req.body.message;
+    if (message && message.chat && typeof message.text === "string") {
+      await handleMessage(message);
+    }
+
+    // Anything but 200 makes Telegram resend the update
+    return res.status(200).json({ ok: true });
+  } catch (error) {
+    console.error("[TELEGRAM] Error:", error);
+    const fromTelegram = req.method === "POST" && req.query.action !== "link";
+    return res.status(fromTelegram ? 200 : 500).json(fromTelegram ? { ok: false } : { error: "Internal server error" });
+  }
+};
@@ -0,0 +1,66 @@
+// /api/unsubscribe.js
+// "Stop all alerts" for an address: suppresses it and cancels its live alerts.
+//
+//   POST /api/unsubscribe?email=...&token=...
+//     - RFC 8058 one-click from the mail client (body "List-Unsubscribe=One-Click")
+//     - the button on pages/unsubscribe.html (JSON body, optional { action: "resubscribe" })
+//   GET  /api/unsubscribe?email=...&token=...
+//     - someone opened the List-Unsubscribe URL in a browser: send them to the page, which
+//       asks first (link scanners prefetch GETs, so a GET never unsubscribes)
+//
+// The token is the purpose "unsubscribe" token from _tokenShared.js.
+const { SITE_URL, verifyUnsubscribeToken } = require("./_tokenShared");
+const { suppressEmail, unsuppressEmail } = require("./_suppressionShared");
+const { listAlertsByEmail, recordAlertChanges } = require("./_alertRepoShared");
+
+module.exports = async (req, res) => {
+  try {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const email = req.query.email || body.email;
+    const token = req.query.token || body.token;
+    const cleanEmail = String(email || "").trim().toLowerCase();
+
+    if (req.method === "GET") {
+      return res.redirect(302, `${SITE_URL}/pages/unsubscribe.html?email=${encodeURIComponent(cleanEmail)}&token=${encodeURIComponent(token || "")}`);
+    }
+
+    if (req.method !== "POST") {
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    if (!cleanEmail || !verifyUnsubscribeToken(token, cleanEmail)) {
+      return res.status(401).json({ error: "This unsubscribe link is invalid or has expired.", code: "INVALID_TOKEN" });
+    }
+
+    if (body.action === "resubscribe") {
+      await unsuppressEmail(cleanEmail);
+      console.log(`[UNSUBSCRIBE] ${cleanEmail} resubscribed`);
+      return res.status(200).json({
+        success: true,
+        subscribed: true,
+        message: "You're subscribed again. Set a new alert any time to start getting deal emails."
+      });
+    }
+
+    const oneClick = body["List-Unsubscribe"] === "One-Click";
+    await suppressEmail(cleanEmail, { source: oneClick ? "one-click" : "link" });
+
+    // Stop everything still live; cancelled alerts stay visible on My Alerts until pruned
+    const now = Date.now();
+    const live = (await listAlertsByEmail(cleanEmail)).filter(a => !a.cancelledAt);
+    await recordAlertChanges(cleanEmail, live.map(alert => ({ op: "update", id: alert.id, changes: { cancelledAt: now } })));
+
+    console.log(`[UNSUBSCRIBE] ${cleanEmail} unsubscribed (${oneClick ? "one-click" : "link"}), ${live.length} alerts cancelled`);
+
+    return res.status(200).json({
+      success: true,
+      subscribed: false,
+      cancelled: live.length,
+      message: "You're unsubscribed. We won't send any more Shoe Beagle emails to this address."
+    });
+
+  } catch (error) {
+    console.error("[UNSUBSCRIBE] Error:", error);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
@@ -0,0 +1,119 @@
+// scripts/migrate-alerts.js
+// One-off import of the legacy single-file alerts.json into the per-email alert store
+// (api/_alertRepoShared.js).
+//
+// Reads alerts.json plus any unfolded alert-events/*.json from the configured storage backend
+// (or a local copy with --file), groups alerts by email and writes one create event per email.
+// Alerts that already exist in the new store are skipped, so the command is safe to re-run.
+// Every address is also added to its account (addAccountEmail()) - the per-account alert
+// limit only counts addresses it knows about - including ones migrated by an earlier run.
+// alerts.json itself is left in place as a backup unless --remove-legacy is passed.
+//
+// Usage:
+//   npm run migrate:alerts -- [--dry-run] [--file ./alerts.json] [--remove-legacy]
+//
+// Uses the same env vars as the API: STORAGE_BACKEND / LOCAL_STORAGE_DIR, and
+// BLOB_READ_WRITE_TOKEN when writing to Vercel Blob from your machine.
+const fs = require("fs/promises");
+const { getStorage } = require("../api/_storageShared");
+const {
+  applyAlertOps,
+  addAccountEmail,
+  listAlertsByEmail,
+  createAlerts,
+  compactAllShards,
+} = require("../api/_alertRepoShared");
+
+const LEGACY_ALERTS_KEY = "alerts.json";
+const LEGACY_EVENTS_PREFIX = "alert-events/";
+
+function parseArgs(argv) {
+  const args = { dryRun: false, file: null, removeLegacy: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--dry-run") args.dryRun = true;
+    else if (argv[i] === "--remove-legacy") args.removeLegacy = true;
+    else if (argv[i] === "--file") args.file = argv[++i];
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  return args;
+}
+
+// alerts.json snapshot + the flat event log it used before alerts were sharded
+async function loadLegacyAlerts(storage, file) {
+  if (file) {
+    const data = JSON.parse(await fs.readFile(file, "utf8"));
+    return { alerts: Array.isArray(data.alerts) ? data.alerts : [], eventKeys: [] };
+  }
+
+  const snapshot = await storage.readJson(LEGACY_ALERTS_KEY);
+  const data = snapshot ? snapshot.data : null;
+  const alerts = data && Array.isArray(data.alerts) ? data.alerts : [];
+  const applied = new Set(data && Array.isArray(data.appliedEvents) ? data.appliedEvents : []);
+
+  const eventKeys = (await storage.list(LEGACY_EVENTS_PREFIX))
+    .map(f => f.key)
+    .filter(key => key.endsWith(".json"))
+    .sort();
+
+  for (const key of eventKeys) {
+    if (applied.has(key)) continue;
+    const event = await storage.readJson(key);
+    if (event) applyAlertOps(alerts, event.data && event.data.ops);
+  }
+
+  return { alerts, eventKeys };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const storage = getStorage();
+  console.log(`[MIGRATE] Storage backend: ${storage.backend}${args.dryRun ? " (dry run)" : ""}`);
+
+  const { alerts, eventKeys } = await loadLegacyAlerts(storage, args.file);
+  console.log(`[MIGRATE] Found ${alerts.length} legacy alerts`);
+
+  const byEmail = new Map();
+  let invalid = 0;
+  for (const alert of alerts) {
+    const email = String(alert.email || "").trim().toLowerCase();
+    if (!email || !alert.id) {
+      invalid++;
+      continue;
+    }
+    if (!byEmail.has(email)) byEmail.set(email, []);
+    byEmail.get(email).push({ ...alert, email });
+  }
+
+  let imported = 0;
+  let skipped = 0;
+  for (const [email, userAlerts] of byEmail) {
+    const existingIds = new Set((await listAlertsByEmail(email)).map(a => a.id));
+    const missing = userAlerts.filter(a => !existingIds.has(a.id));
+    skipped += userAlerts.length - missing.length;
+
+    if (!args.dryRun) {
+      if (missing.length > 0) await createAlerts(email, missing);
+      await addAccountEmail(email);
+    }
+    imported += missing.length;
+  }
+
+  if (!args.dryRun) {
+    const compaction = await compactAllShards();
+    console.log(`[MIGRATE] Compacted ${compaction.compacted} events across ${compaction.shards} shards`);
+
+    if (args.removeLegacy && !args.file) {
+      for (const key of eventKeys) await storage.remove(key);
+      await storage.remove(LEGACY_ALERTS_KEY);
+      console.log(`[MIGRATE] Removed ${LEGACY_ALERTS_KEY} and ${eventKeys.length} legacy event files`);
+    }
+  }
+
+  console.log(`[MIGRATE] ${args.dryRun ? "Would import" : "Imported"} ${imported} alerts for ${byEmail.size} emails`);
+  console.log(`[MIGRATE] Skipped ${skipped} already-migrated alerts, ${invalid} without an id/email`);
+}
+
+main().catch(err => {
+  console.error("[MIGRATE] Failed:", err);
+  process.exit(1);
+});
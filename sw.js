@@ -0,0 +1,30 @@
+// /sw.js
+// Service worker for price alert browser notifications. Registered from
+// setalert.html and myalerts.html; check-alerts pushes { title, body, url, tag, icon }
+// (see api/_pushShared.js).
+
+self.addEventListener("push", (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (err) {
+    data = { body: event.data ? event.data.text() : "" };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || "Shoe Beagle price alert", {
+      body: data.body || "",
+      icon: data.icon || "/images/favicon.png",
+      tag: data.tag,
+      renotify: !!data.tag,
+      data: { url: data.url || "/" }
+    })
+  );
+});
+
+// Open the alert's deal search
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || "/", self.location.origin).href;
+  event.waitUntil(clients.openWindow(url));
+});
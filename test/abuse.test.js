@@ -0,0 +1,21 @@
+// Rate limits and account limits (api/_abuseShared.js) on local storage.
+const test = require("node:test");
+const assert = require("node:assert");
+const { setupTestEnv } = require("./helpers");
+
+setupTestEnv("abuse");
+
+const { hitRateLimit } = require("../api/_abuseShared");
+
+test("parallel hits on one counter never get past the limit", async () => {
+  const results = await Promise.all(Array.from({ length: 12 }, () => hitRateLimit("test-burst", "203.0.113.9", { limit: 3 })));
+  assert.strictEqual(results.filter(r => !r.limited).length, 3);
+  assert.ok(results.filter(r => r.limited).every(r => r.retryAfterSeconds > 0));
+});
+
+test("the counter starts again in the next window", async () => {
+  const now = Date.now();
+  for (let i = 0; i < 2; i++) assert.strictEqual((await hitRateLimit("test-window", "x", { limit: 2, now })).limited, false);
+  assert.strictEqual((await hitRateLimit("test-window", "x", { limit: 2, now })).limited, true);
+  assert.strictEqual((await hitRateLimit("test-window", "x", { limit: 2, now: now + 60 * 60 * 1000 })).limited, false);
+});
@@ -0,0 +1,13 @@
+// Alert-vs-deal expectations for scoreAlertMatch() (api/_searchShared.js).
+// Add a case to fixtures/alert-matches.json whenever an alert matches the wrong shoe.
+const test = require("node:test");
+const assert = require("node:assert");
+const { scoreAlertMatch, dealMatchesAlertName } = require("../api/_searchShared");
+const cases = require("./fixtures/alert-matches.json");
+
+for (const { alert, deal, match } of cases) {
+  const name = `"${alert.brand} ${alert.model}" ${match ? "matches" : "does not match"} "${deal.title}"`;
+  test(name, () => {
+    assert.strictEqual(dealMatchesAlertName(alert, deal), match, `score ${scoreAlertMatch(alert, deal)}`);
+  });
+}
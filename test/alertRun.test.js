@@ -0,0 +1,41 @@
+// The check-alerts run lease and cursor (api/_alertRunShared.js) on local storage.
+const test = require("node:test");
+const assert = require("node:assert");
+const { setupTestEnv } = require("./helpers");
+
+setupTestEnv("alert-run");
+
+const { claimRun, saveRun, RunLostError } = require("../api/_alertRunShared");
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2026, 4, 1, 9, 50);
+
+test("only one of two overlapping invocations gets the run", async () => {
+  const claims = await Promise.all([claimRun({ now: START }), claimRun({ now: START })]);
+  assert.deepStrictEqual(claims.map(c => c.status).sort(), ["busy", "started"]);
+
+  const { run } = claims.find(c => c.run);
+  await saveRun(run, { lastShard: "shard-a", usersProcessed: 25 }, START + 30 * 1000);
+  assert.strictEqual((await claimRun({ resumeOnly: true, now: START + MINUTE })).status, "busy");
+});
+
+test("the next invocation resumes from the cursor once the lease is over", async () => {
+  const claim = await claimRun({ resumeOnly: true, now: START + 5 * MINUTE });
+  assert.strictEqual(claim.status, "resumed");
+  assert.strictEqual(claim.run.lastShard, "shard-a");
+  assert.strictEqual(claim.run.invocations, 2);
+
+  const done = await saveRun(claim.run, { completedAt: START + 5 * MINUTE + 1000 }, START + 5 * MINUTE + 1000);
+  assert.ok(done.completedAt);
+  assert.strictEqual((await claimRun({ resumeOnly: true, now: START + 10 * MINUTE })).status, "idle");
+});
+
+test("an invocation can't save after its lease runs out or someone else claims the run", async () => {
+  const first = await claimRun({ now: START + 24 * 60 * MINUTE });
+  assert.strictEqual(first.status, "started");
+  await assert.rejects(saveRun(first.run, { lastShard: "shard-b" }, START + 24 * 60 * MINUTE + 3 * MINUTE), RunLostError);
+
+  const second = await claimRun({ now: START + 24 * 60 * MINUTE + 3 * MINUTE });
+  assert.strictEqual(second.status, "resumed");
+  await assert.rejects(saveRun({ ...first.run, leaseExpiresAt: Infinity }, { lastShard: "shard-b" }), RunLostError);
+});
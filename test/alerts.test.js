@@ -0,0 +1,113 @@
+// Tests for /api/alerts (api/alerts.js) that don't need a signed-in user: storage is a
+// temp directory and email goes to the outbox transport.
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { setupTestEnv, outboxMessages, call } = require("./helpers");
+
+const { dataDir, outboxDir } = setupTestEnv("alerts");
+
+const alerts = require("../api/alerts");
+const { createAlert, getAlert, shardFor } = require("../api/_alertRepoShared");
+const { buildNewAlert, isPendingAlert } = require("../api/_alertsShared");
+const { createToken, buildRenewUrl } = require("../api/_tokenShared");
+
+let ipCounter = 1;
+
+function requestLink(email, ip = `198.51.100.${ipCounter++}`) {
+  return call(alerts, { method: "POST", headers: { "x-forwarded-for": ip }, body: { action: "request-link", email } });
+}
+
+test("manage link emails to one address are limited per day, whatever the IP", async () => {
+  const email = "runner@example.org";
+  await createAlert(buildNewAlert({ email, brand: "Hoka", model: "Clifton", gender: "both", mode: "lowest" }, { pendingSince: null }));
+
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual((await requestLink(email)).statusCode, 200);
+  }
+  const limited = await requestLink("Runner@Example.org");
+  assert.strictEqual(limited.statusCode, 429);
+  assert.strictEqual(limited.body.code, "RATE_LIMITED");
+  assert.ok(Number(limited.headers["retry-after"]) > 0);
+  assert.strictEqual(outboxMessages(outboxDir).filter(message => message.to === email).length, 3);
+});
+
+test("manage link requests are limited per IP, for addresses with or without alerts", async () => {
+  const ip = "198.51.100.250";
+  for (let i = 0; i < 10; i++) {
+    assert.strictEqual((await requestLink(`nobody${i}@example.org`, ip)).statusCode, 200);
+  }
+  const limited = await requestLink("nobody-else@example.org", ip);
+  assert.strictEqual(limited.statusCode, 429);
+  assert.strictEqual(limited.body.code, "RATE_LIMITED");
+});
+
+test("a list of addresses can't be sent a manage link", async () => {
+  const res = await requestLink("runner@example.org,other@example.org");
+  assert.strictEqual(res.statusCode, 400);
+});
+
+test("a new alert for a list of addresses is refused before anything is sent", async () => {
+  for (const email of ["victim@example.org, other@gmail.com", "victim@example.org;other@gmail.com"]) {
+    const res = await call(alerts, {
+      method: "POST",
+      headers: { "x-forwarded-for": `198.51.100.${ipCounter++}` },
+      body: { email, brand: "Hoka", model: "Clifton", mode: "lowest", gender: "both" },
+    });
+    assert.strictEqual(res.statusCode, 400, email);
+  }
+  assert.strictEqual(outboxMessages(outboxDir).filter(message => /victim@example\.org/.test(message.to)).length, 0);
+});
+
+test("a new alert is refused, not let past the account limit, when existing alerts can't be read", async () => {
+  const email = "unreadable@example.org";
+  await createAlert(buildNewAlert({ email, brand: "Hoka", model: "Clifton", gender: "both", mode: "lowest" }, { pendingSince: null }));
+  fs.writeFileSync(path.join(dataDir, "alert-shards", shardFor(email), "alerts.json"), "{ not json");
+
+  const res = await call(alerts, {
+    method: "POST",
+    headers: { "x-forwarded-for": `198.51.100.${ipCounter++}` },
+    body: { email, brand: "ASICS", model: "Novablast", mode: "lowest", gender: "both" },
+  });
+  assert.strictEqual(res.statusCode, 503);
+  assert.strictEqual(outboxMessages(outboxDir).filter(message => message.to === email).length, 0);
+});
+
+test("opening a confirmation link changes nothing until the landing page POSTs", async () => {
+  const email = "confirm-me@example.org";
+  const alert = await createAlert(buildNewAlert({ email, brand: "Hoka", model: "Clifton", gender: "both", mode: "lowest" }));
+  const token = createToken({ purpose: "confirm", email, ttlMs: 60 * 60 * 1000, claims: { a: alert.id } });
+
+  const opened = await call(alerts, { query: { action: "confirm", email, token } });
+  assert.strictEqual(opened.statusCode, 302);
+  assert.match(opened.location, /\/pages\/alert-link\.html\?action=confirm&/);
+  assert.ok(isPendingAlert(await getAlert(email, alert.id)));
+
+  const confirmed = await call(alerts, { method: "POST", body: { action: "confirm", email, token } });
+  assert.strictEqual(confirmed.statusCode, 200);
+  assert.match(confirmed.body.redirectUrl, /confirm=ok/);
+  assert.ok(!isPendingAlert(await getAlert(email, alert.id)));
+
+  const forged = await call(alerts, { method: "POST", body: { action: "confirm", email, token: "nope" } });
+  assert.strictEqual(forged.statusCode, 401);
+});
+
+test("opening an \"Extend 30 Days\" link changes nothing until the landing page POSTs", async () => {
+  const email = "renew-me@example.org";
+  const alert = await createAlert(buildNewAlert({ email, brand: "Hoka", model: "Clifton", gender: "both", mode: "lowest" }, { pendingSince: null }));
+  const token = new URL(buildRenewUrl(alert, Date.now() + 60 * 60 * 1000)).searchParams.get("token");
+
+  const opened = await call(alerts, { query: { action: "renew", email, token } });
+  assert.strictEqual(opened.statusCode, 302);
+  assert.match(opened.location, /\/pages\/alert-link\.html\?action=renew&/);
+  assert.ok(!(await getAlert(email, alert.id)).renewedAt);
+
+  const renewed = await call(alerts, { method: "POST", body: { action: "renew-link", email, token } });
+  assert.strictEqual(renewed.statusCode, 200);
+  assert.match(renewed.body.redirectUrl, /renew=ok/);
+  assert.strictEqual((await getAlert(email, alert.id)).renewalCount, 1);
+
+  const forged = await call(alerts, { method: "POST", body: { action: "renew-link", email: "someone@example.org", token } });
+  assert.strictEqual(forged.statusCode, 401);
+});
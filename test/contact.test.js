@@ -0,0 +1,63 @@
+// Tests for the contact form (api/contact.js): storage is a temp directory and email goes
+// to the outbox transport, so what each address would receive can be checked.
+const test = require("node:test");
+const assert = require("node:assert");
+const { setupTestEnv, outboxMessages, call } = require("./helpers");
+
+const { outboxDir } = setupTestEnv("contact", { CONTACT_TO_EMAIL: "support@shoebeagle.test" });
+
+const contact = require("../api/contact");
+
+let ipCounter = 1;
+
+function post(body, ip = `203.0.113.${ipCounter++}`) {
+  return call(contact, { method: "POST", headers: { "x-forwarded-for": ip }, body });
+}
+
+function outboxTo(address) {
+  return outboxMessages(outboxDir).filter(message => message.to === address);
+}
+
+test("the acknowledgement doesn't repeat the name or message", async () => {
+  const res = await post({ name: "Buy Cheap Pills", email: "someone@example.com", message: "Visit spam.example for deals" });
+  assert.strictEqual(res.statusCode, 200);
+
+  const [toSupport] = outboxTo("support@shoebeagle.test");
+  assert.match(toSupport.html, /Visit spam\.example for deals/);
+  assert.strictEqual(toSupport.replyTo, "someone@example.com");
+
+  const [ack] = outboxTo("someone@example.com");
+  assert.strictEqual(ack.subject, "🐾 We got your message");
+  for (const part of [ack.subject, ack.html, ack.text]) {
+    assert.doesNotMatch(part, /Cheap Pills|spam\.example/);
+  }
+});
+
+test("disposable addresses are refused", async () => {
+  const res = await post({ name: "Sam", email: "sam@mailinator.com", message: "Hello" });
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.code, "DISPOSABLE_EMAIL");
+  assert.strictEqual(outboxTo("sam@mailinator.com").length, 0);
+});
+
+test("one address gets a limited number of acknowledgements, whatever the IP", async () => {
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual((await post({ name: "Sam", email: "target@example.org", message: `Hello ${i}` })).statusCode, 200);
+  }
+  const limited = await post({ name: "Sam", email: "Target@Example.org", message: "Hello again" });
+  assert.strictEqual(limited.statusCode, 429);
+  assert.strictEqual(limited.body.code, "RATE_LIMITED");
+  assert.ok(Number(limited.headers["retry-after"]) > 0);
+  assert.strictEqual(outboxTo("target@example.org").length, 3);
+});
+
+test("a list of addresses is refused before anything is sent or counted", async () => {
+  for (const email of ["victim@example.org,x1@example.org", "victim@example.org; x2@example.org", "victim@example.org x3@example.org"]) {
+    const res = await post({ name: "Sam", email, message: "Hello" });
+    assert.strictEqual(res.statusCode, 400, email);
+  }
+  assert.strictEqual(outboxMessages(outboxDir).filter(message => /victim@example\.org/.test(message.to)).length, 0);
+
+  // The address on its own still has its full daily allowance
+  assert.strictEqual((await post({ name: "Sam", email: "victim@example.org", message: "Hello" })).statusCode, 200);
+});
@@ -0,0 +1,70 @@
+// Tests for the email retry queue (api/_deliveryShared.js), checked against the
+// check-alerts cron schedule in vercel.json.
+const test = require("node:test");
+const assert = require("node:assert");
+const { setupTestEnv } = require("./helpers");
+
+setupTestEnv("delivery");
+
+const vercel = require("../vercel.json");
+const { MAX_ATTEMPTS, queueRetry, listRetries, rescheduleRetry, completeRetry } = require("../api/_deliveryShared");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_0 = Date.UTC(2026, 4, 1);
+
+// "m h * * *" with "*/n" and "a-b" fields, which is all vercel.json uses
+function expandField(field, max) {
+  const [range, step] = field.split("/");
+  const [from, to] = range === "*" ? [0, max] : range.split("-").map(Number);
+  const values = [];
+  for (let v = from; v <= (to ?? from); v += Number(step || 1)) values.push(v);
+  return values;
+}
+
+// Every check-alerts invocation on one UTC day, in ms
+function invocationsOn(day) {
+  const times = [];
+  for (const cron of vercel.crons.filter(c => c.path.startsWith("/api/cron/check-alerts"))) {
+    const [minute, hour] = cron.schedule.split(" ");
+    for (const h of expandField(hour, 23)) {
+      for (const m of expandField(minute, 59)) times.push(day + (h * 60 + m) * 60 * 1000);
+    }
+  }
+  return times.sort((a, b) => a - b);
+}
+
+async function dueNow(id, now) {
+  return (await listRetries(now)).find(item => item.id === id).due;
+}
+
+test("a failed email waits for the next day's run, wherever in the run it failed", async () => {
+  const today = invocationsOn(DAY_0);
+  const tomorrow = invocationsOn(DAY_0 + DAY_MS);
+  assert.ok(today.length > 1, "expected the daily run and its resume invocations");
+
+  for (const failedAt of today) {
+    // A send fails a little after the invocation starts
+    const item = await queueRetry({ kind: "match", message: { to: "runner@example.org" }, alertIds: ["a"], error: new Error("boom"), now: failedAt + 30 * 1000 });
+    for (const later of today.filter(t => t > failedAt)) {
+      assert.strictEqual(await dueNow(item.id, later), false, `not the same day (${new Date(later).toISOString()})`);
+    }
+    assert.strictEqual(await dueNow(item.id, tomorrow[0]), true, `due at ${new Date(tomorrow[0]).toISOString()}`);
+    await completeRetry(item);
+  }
+});
+
+test("an email is tried once a day until it gives up", async () => {
+  const failedAt = invocationsOn(DAY_0)[0] + 45 * 1000;
+  let item = await queueRetry({ kind: "digest", message: { to: "runner@example.org" }, alertIds: ["b"], error: new Error("boom"), now: failedAt });
+
+  const outcomes = [];
+  for (let day = 1; day < MAX_ATTEMPTS; day++) {
+    const run = invocationsOn(DAY_0 + day * DAY_MS)[0];
+    item = (await listRetries(run)).find(found => found.id === item.id);
+    assert.ok(item && item.due, `due on day ${day}`);
+    outcomes.push(await rescheduleRetry(item, new Error("boom again"), run + 45 * 1000));
+  }
+
+  assert.deepStrictEqual(outcomes, [...Array(MAX_ATTEMPTS - 2).fill("retry"), "gave-up"]);
+  assert.strictEqual((await listRetries(DAY_0 + 10 * DAY_MS)).length, 0);
+});
@@ -0,0 +1,163 @@
+// Snapshot tests for every email template (api/_alertEmailsShared.js): the HTML and the
+// generated text/plain part are compared with test/snapshots/emails/<name>.html|.txt.
+//
+// After changing a template on purpose, review the diff and refresh the snapshots with:
+//   npm run test:emails:update
+process.env.TZ = "UTC";
+process.env.ALERTS_TOKEN_SECRET = "snapshot-secret";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+
+// Links carry expiring tokens and "days left" counts, so the clock is pinned
+const NOW = Date.UTC(2026, 4, 1, 9, 30);
+Date.now = () => NOW;
+
+const {
+  generateConfirmationEmail,
+  generateManageLinkEmail,
+  generateExportEmail,
+  generateErasedEmail,
+  generateMatchEmail,
+  generateDigestEmail,
+  generateExpiryReminderEmail,
+  generateTelegramLinkEmail,
+  generateContactSupportEmail,
+  generateContactAcknowledgementEmail,
+} = require("../api/_alertEmailsShared");
+
+const SNAPSHOT_DIR = path.join(__dirname, "snapshots", "emails");
+const UPDATE = process.env.UPDATE_SNAPSHOTS === "1";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function matchSnapshot(name, { html, text }) {
+  for (const [ext, actual] of [["html", html], ["txt", text]]) {
+    const file = path.join(SNAPSHOT_DIR, `${name}.${ext}`);
+    if (UPDATE || (!fs.existsSync(file) && !process.env.CI)) {
+      fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+      fs.writeFileSync(file, actual);
+      continue;
+    }
+    assert.ok(fs.existsSync(file), `Missing snapshot ${path.relative(process.cwd(), file)} - run npm run test:emails:update`);
+    assert.strictEqual(actual, fs.readFileSync(file, "utf8"), `${name}.${ext} differs from its snapshot`);
+  }
+}
+
+const alert = {
+  id: "alert_1",
+  email: "runner@example.com",
+  brand: "Hoka",
+  model: "Clifton 9",
+  gender: "mens",
+  shoeType: "road",
+  mode: "target",
+  targetPrice: 110,
+  setAt: NOW - 10 * DAY_MS,
+  includeStores: ["Running Warehouse", "REI Outlet"],
+};
+
+const lowestAlert = {
+  ...alert,
+  id: "alert_2",
+  brand: "Brooks",
+  model: "Ghost 16",
+  mode: "lowest",
+  targetPrice: null,
+  shoeType: "",
+  includeStores: [],
+  lastSeenLowPrice: 99.95,
+};
+
+const deals = [
+  {
+    brand: "Hoka",
+    model: "Clifton 9",
+    title: "Hoka Clifton 9",
+    store: "Running Warehouse",
+    price: 145,
+    salePrice: 99.88,
+    url: "https://www.runningwarehouse.com/hoka-clifton-9",
+    image: "https://img.example.com/clifton-9.jpg",
+  },
+  {
+    // Scraped fields are untrusted: markup must be escaped and non-http URLs dropped
+    brand: "Hoka",
+    model: "Clifton 9 <b>\"Wide\"</b>",
+    title: "Hoka Clifton 9 Wide",
+    store: "REI & Co <Outlet>",
+    price: 145,
+    salePrice: 104.5,
+    previousPrice: 119.95,
+    url: "javascript:alert(1)",
+    image: "data:image/png;base64,AAAA",
+  },
+];
+
+test("confirmation email", () => {
+  const pending = { ...alert, setAt: NOW, pendingSince: NOW };
+  matchSnapshot("confirmation", generateConfirmationEmail(pending, [pending]));
+});
+
+test("confirmation email listing the other alerts", () => {
+  const pending = { ...alert, setAt: NOW, pendingSince: NOW };
+  const others = [
+    { ...lowestAlert, setAt: NOW - 3 * DAY_MS },
+    { ...alert, id: "alert_3", model: "Bondi 8", setAt: NOW - 20 * DAY_MS, cancelledAt: NOW - DAY_MS },
+  ];
+  matchSnapshot("confirmation-with-alerts", generateConfirmationEmail(pending, [...others, pending]));
+});
+
+test("My Alerts link email", () => {
+  matchSnapshot("manage-link", generateManageLinkEmail(alert.email));
+});
+
+test("data export receipt", () => {
+  const data = { exportedAt: new Date(NOW).toISOString(), alerts: [alert, lowestAlert], notifications: [{}, {}, {}] };
+  matchSnapshot("export-receipt", generateExportEmail(alert.email, data));
+});
+
+test("data erasure receipt", () => {
+  matchSnapshot("erased-receipt", generateErasedEmail({ alerts: 2, notifications: 7, telegramChats: 1 }));
+});
+
+test("match email", () => {
+  matchSnapshot("match", generateMatchEmail(alert, deals.slice(), 20, { newDeals: [deals[0]], droppedDeals: [deals[1]] }));
+});
+
+test("match email for a lowest-price alert", () => {
+  const lowDeal = { ...deals[0], brand: "Brooks", model: "Ghost 16", title: "Brooks Ghost 16", salePrice: 89.95 };
+  matchSnapshot("match-lowest", generateMatchEmail(lowestAlert, [lowDeal], 0, { newDeals: [lowDeal], droppedDeals: [] }));
+});
+
+test("digest email", () => {
+  const lowDeal = { ...deals[0], brand: "Brooks", model: "Ghost 16", title: "Brooks Ghost 16", salePrice: 89.95 };
+  const entries = [
+    { alert, matches: deals, changes: { newDeals: [deals[0]], droppedDeals: [deals[1]] }, lowestPrice: 99.88 },
+    { alert: lowestAlert, matches: [lowDeal], changes: { newDeals: [lowDeal], droppedDeals: [] }, lowestPrice: 89.95 },
+  ];
+  matchSnapshot("digest-weekly", generateDigestEmail(alert.email, entries, "weekly"));
+});
+
+test("expiry reminder email", () => {
+  matchSnapshot("expiry-reminder", generateExpiryReminderEmail(alert, 3));
+});
+
+test("expiry reminder email on the last day", () => {
+  matchSnapshot("expiry-reminder-today", generateExpiryReminderEmail(alert, 0));
+});
+
+test("Telegram /link email", () => {
+  const linkUrl = "https://shoebeagle.com/api/telegram?action=link&email=runner%40example.com&token=abc";
+  matchSnapshot("telegram-link", generateTelegramLinkEmail(alert.email, linkUrl, "<b>runner</b>"));
+});
+
+test("contact form message to support", () => {
+  const contact = { name: "Runner <script>", email: alert.email, message: "Where are the <b>Hoka</b> deals?\nThanks & bye" };
+  matchSnapshot("contact-support", generateContactSupportEmail(contact, "198.51.100.7"));
+});
+
+test("contact form acknowledgement", () => {
+  matchSnapshot("contact-acknowledgement", generateContactAcknowledgementEmail(alert.email));
+});
@@ -0,0 +1,65 @@
+// Shared setup for the end-to-end API tests: storage in a temp directory, email to the
+// outbox transport, and a stand-in for the Vercel response object.
+const test = require("node:test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Point storage and mail at a fresh temp directory (removed after the file's tests) and
+ * set `env` on top. Call it before requiring anything from api/ - modules read their
+ * env vars when they load.
+ * @returns {{ dataDir: string, outboxDir: string }}
+ */
+function setupTestEnv(name, env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), `shoebeagle-${name}-`));
+  const outboxDir = path.join(dataDir, "outbox");
+
+  Object.assign(process.env, {
+    STORAGE_BACKEND: "local",
+    LOCAL_STORAGE_DIR: dataDir,
+    MAIL_TRANSPORT: "outbox",
+    MAIL_OUTBOX_DIR: outboxDir,
+    STORAGE_KEY_SECRET: "test-storage-secret",
+    ALERTS_TOKEN_SECRET: "test-token-secret",
+    ...env,
+  });
+
+  test.after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  return { dataDir, outboxDir };
+}
+
+// Every message the outbox transport has written, oldest first
+function outboxMessages(outboxDir) {
+  if (!fs.existsSync(outboxDir)) return [];
+  return fs.readdirSync(outboxDir)
+    .filter(name => name.endsWith(".json"))
+    .sort()
+    .map(name => JSON.parse(fs.readFileSync(path.join(outboxDir, name), "utf8")));
+}
+
+function mockRes() {
+  const res = { statusCode: 200, headers: {}, body: null, location: null };
+  res.status = code => { res.statusCode = code; return res; };
+  res.json = body => { res.body = body; return res; };
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; return res; };
+  res.redirect = (code, location) => { res.statusCode = code; res.location = location; return res; };
+  return res;
+}
+
+// Run `handler` with a GET request overridden by `req`; resolves with the mock response
+async function call(handler, req) {
+  const res = mockRes();
+  await handler({ method: "GET", headers: {}, query: {}, body: {}, ...req }, res);
+  return res;
+}
+
+module.exports = {
+  setupTestEnv,
+  outboxMessages,
+  mockRes,
+  call,
+};
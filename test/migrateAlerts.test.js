@@ -0,0 +1,52 @@
+// Tests for scripts/migrate-alerts.js, run as a child process against a temp local store.
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { setupTestEnv } = require("./helpers");
+
+const { dataDir } = setupTestEnv("migrate");
+
+const { listAccountEmails, listAlertsByEmail } = require("../api/_alertRepoShared");
+
+const SCRIPT = path.join(__dirname, "..", "scripts", "migrate-alerts.js");
+
+function legacyAlert(id, email) {
+  return { id, email, brand: "Hoka", model: "Clifton", gender: "both", mode: "lowest", setAt: Date.now() };
+}
+
+function migrate(...args) {
+  execFileSync(process.execPath, [SCRIPT, ...args], { env: process.env, stdio: "pipe" });
+}
+
+test("migrated addresses join their account, so the alert limit counts them together", async () => {
+  fs.writeFileSync(path.join(dataDir, "alerts.json"), JSON.stringify({
+    alerts: [
+      legacyAlert("alert_a", "jo.smith@gmail.com"),
+      legacyAlert("alert_b", "JoSmith+shoes@gmail.com"),
+    ],
+  }));
+
+  migrate();
+
+  assert.strictEqual((await listAlertsByEmail("josmith+shoes@gmail.com")).length, 1);
+  assert.deepStrictEqual(
+    (await listAccountEmails("josmith@gmail.com")).sort(),
+    ["jo.smith@gmail.com", "josmith+shoes@gmail.com", "josmith@gmail.com"]
+  );
+});
+
+test("re-running adds addresses whose alerts an earlier run already migrated", async () => {
+  const legacy = path.join(dataDir, "legacy-alerts.json");
+  fs.writeFileSync(legacy, JSON.stringify({ alerts: [legacyAlert("alert_c", "runner@example.org")] }));
+  migrate("--file", legacy);
+
+  // As if migrated before accounts were recorded
+  fs.rmSync(path.join(dataDir, "alert-accounts"), { recursive: true, force: true });
+  assert.deepStrictEqual(await listAccountEmails("runner+x@example.org"), ["runner+x@example.org"]);
+
+  migrate("--file", legacy);
+  assert.deepStrictEqual((await listAccountEmails("runner+x@example.org")).sort(), ["runner+x@example.org", "runner@example.org"]);
+  assert.strictEqual((await listAlertsByEmail("runner@example.org")).length, 1);
+});
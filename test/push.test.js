@@ -0,0 +1,38 @@
+// Push subscription checks (api/_pushShared.js): only the browsers' push services may be
+// stored as endpoints, since check-alerts POSTs to whatever is stored.
+const test = require("node:test");
+const assert = require("node:assert");
+const { parsePushSubscription, sendPush } = require("../api/_pushShared");
+
+const KEYS = { p256dh: "BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA_0QTpQtUbVlUls0VJXg7A8u-Ts1XbjhazAkj7I99e8QcYP7DkM", auth: "tBHItJI5svbpez7KI4CCXg" };
+
+test("endpoints on the browsers' push services are accepted", () => {
+  for (const endpoint of [
+    "https://fcm.googleapis.com/fcm/send/abc123",
+    "https://updates.push.services.mozilla.com/wpush/v2/abc123",
+    "https://web.push.apple.com/abc123",
+    "https://wns2-par02p.notify.windows.com/w/?token=abc123",
+  ]) {
+    const parsed = parsePushSubscription({ endpoint, keys: KEYS }, "");
+    assert.ok(parsed.subscription, endpoint);
+    assert.strictEqual(parsed.subscription.endpoint, endpoint);
+  }
+});
+
+test("internal and unknown hosts are refused", () => {
+  for (const endpoint of [
+    "https://169.254.169.254/latest/meta-data/",
+    "https://localhost/push",
+    "https://10.0.0.5/push",
+    "https://example.com/push",
+    "https://fcm.googleapis.com.attacker.example/push",
+    "https://fcm.googleapis.com:8443/fcm/send/abc123",
+    "http://fcm.googleapis.com/fcm/send/abc123",
+  ]) {
+    assert.deepStrictEqual(parsePushSubscription({ endpoint, keys: KEYS }, ""), { error: "Invalid push subscription" }, endpoint);
+  }
+});
+
+test("sending refuses a stored endpoint that isn't a push service", async () => {
+  await assert.rejects(sendPush({ endpoint: "https://10.0.0.5/push", keys: KEYS }, { title: "x" }), /known push service/);
+});
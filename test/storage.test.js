@@ -0,0 +1,65 @@
+// Conditional writes on the Vercel Blob backend (api/_storageShared.js), against an
+// in-memory stand-in for @vercel/blob that behaves like the Blob API.
+const test = require("node:test");
+const assert = require("node:assert");
+
+class BlobError extends Error {}
+class BlobPreconditionFailedError extends BlobError {}
+
+const blobs = new Map();
+const reads = [];
+let etagCounter = 0;
+
+const fakeBlob = {
+  BlobPreconditionFailedError,
+  async put(pathname, body, { allowOverwrite = false, ifMatch } = {}) {
+    const existing = blobs.get(pathname);
+    if (existing && !allowOverwrite) throw new BlobError("Vercel Blob: This blob already exists, use `allowOverwrite: true` if you want to overwrite it.");
+    if (ifMatch && (!existing || existing.etag !== ifMatch)) throw new BlobPreconditionFailedError("Vercel Blob: Precondition failed");
+    const blob = { pathname, body: String(body), etag: `"${++etagCounter}"`, url: `https://blob.test/${pathname}` };
+    blobs.set(pathname, blob);
+    return { url: blob.url, pathname, etag: blob.etag };
+  },
+  async get(pathname, { useCache = true } = {}) {
+    reads.push({ pathname, useCache });
+    const blob = blobs.get(pathname);
+    if (!blob) return null;
+    return { statusCode: 200, stream: new Response(blob.body).body, blob: { url: blob.url, pathname, etag: blob.etag } };
+  },
+  async list({ prefix }) {
+    const matching = [...blobs.values()].filter(b => b.pathname.startsWith(prefix));
+    return { blobs: matching.map(b => ({ pathname: b.pathname, url: b.url, etag: b.etag, size: b.body.length })), hasMore: false };
+  },
+  async del(pathname) {
+    blobs.delete(pathname);
+  },
+};
+
+const blobModule = require.resolve("@vercel/blob");
+require.cache[blobModule] = { id: blobModule, filename: blobModule, loaded: true, exports: fakeBlob };
+process.env.STORAGE_BACKEND = "blob";
+
+const { getStorage, StorageConflictError } = require("../api/_storageShared");
+const storage = getStorage();
+
+test("ifVersion: null only creates, never overwrites", async () => {
+  await storage.writeJson("locks/a.json", { n: 1 }, { ifVersion: null });
+  await assert.rejects(storage.writeJson("locks/a.json", { n: 2 }, { ifVersion: null }), StorageConflictError);
+  assert.deepStrictEqual((await storage.readJson("locks/a.json")).data, { n: 1 });
+});
+
+test("a write against an old version is refused", async () => {
+  const first = await storage.readJson("locks/a.json");
+  const written = await storage.writeJson("locks/a.json", { n: 2 }, { ifVersion: first.version });
+  assert.notStrictEqual(written.version, first.version);
+
+  await assert.rejects(storage.writeJson("locks/a.json", { n: 3 }, { ifVersion: first.version }), StorageConflictError);
+  assert.deepStrictEqual((await storage.readJson("locks/a.json")).data, { n: 2 });
+});
+
+test("reads skip the CDN cache unless asked for it", async () => {
+  reads.length = 0;
+  await storage.readJson("locks/a.json");
+  await storage.readJson("deals.json", { cached: true });
+  assert.deepStrictEqual(reads, [{ pathname: "locks/a.json", useCache: false }, { pathname: "deals.json", useCache: true }]);
+});
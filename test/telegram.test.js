@@ -0,0 +1,202 @@
+// End-to-end tests for the Telegram bot (api/telegram.js): a local stub of the Bot API
+// records what the bot sends, storage is a temp directory and email goes to the outbox
+// transport, so linking a chat, the chat commands and alert delivery run for real.
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { setupTestEnv, outboxMessages: readOutbox, call } = require("./helpers");
+
+const { dataDir: DATA_DIR, outboxDir: OUTBOX_DIR } = setupTestEnv("telegram", {
+  TELEGRAM_BOT_TOKEN: "123:test",
+  TELEGRAM_WEBHOOK_SECRET: "test-webhook-secret",
+  CRON_SECRET: "test-cron-secret",
+});
+
+const telegram = require("../api/telegram");
+const checkAlerts = require("../api/cron/check-alerts");
+const { listAlertsByEmail, getNotificationPrefs } = require("../api/_alertRepoShared");
+const { getChat } = require("../api/_telegramShared");
+
+const CHAT_ID = 4242;
+const EMAIL = "runner@example.com";
+
+const DEALS = [
+  { title: "Hoka Clifton 9", brand: "Hoka", model: "Clifton 9", salePrice: 99.95, price: 145, store: "Running Warehouse", url: "https://example.com/clifton-9", gender: "mens" },
+  { title: "ASICS Novablast 4", brand: "ASICS", model: "Novablast 4", salePrice: 94.95, price: 140, store: "REI Outlet", url: "https://example.com/novablast-4", gender: "womens" },
+  { title: "ASICS Novablast 3", brand: "ASICS", model: "Novablast 3", price: 89.95, store: "Zappos", url: "https://example.com/novablast-3", gender: "mens" },
+  { title: "ASICS Novablast 2", brand: "ASICS", model: "Novablast 2", salePrice: "n/a", store: "Zappos", url: "https://example.com/novablast-2", gender: "mens" },
+  { title: "Brooks Ghost 16", brand: "Brooks", model: "Ghost 16", salePrice: 109.95, price: 140, store: "Zappos", url: "https://example.com/ghost-16", gender: "mens" },
+];
+
+/* ------------------------------ Bot API stub ------------------------------ */
+
+// Every sendMessage the bot makes: { chat_id, text, parse_mode, ... }
+const sentMessages = [];
+let stub;
+
+function startTelegramStub() {
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      const method = req.url.split("/").pop();
+      const params = body ? JSON.parse(body) : {};
+      if (method === "sendMessage") sentMessages.push(params);
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ ok: true, result: { message_id: sentMessages.length } }));
+    });
+  });
+  return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+/* -------------------------------- Helpers -------------------------------- */
+
+let updateId = 1;
+
+// Send `text` to the bot as the user in chat `chatId`; resolves with the bot's reply
+async function sendToBot(text, chatId = CHAT_ID) {
+  const before = sentMessages.length;
+  const res = await call(telegram, {
+    method: "POST",
+    headers: { "x-telegram-bot-api-secret-token": process.env.TELEGRAM_WEBHOOK_SECRET },
+    body: {
+      update_id: updateId++,
+      message: { message_id: updateId, chat: { id: chatId, type: "private" }, from: { id: chatId, username: "runner" }, text },
+    },
+  });
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(sentMessages.length, before + 1, `no reply to "${text}"`);
+  return sentMessages[sentMessages.length - 1];
+}
+
+function outboxMessages() {
+  return readOutbox(OUTBOX_DIR);
+}
+
+// The "Connect Telegram" link from the newest /link email, as query params
+function lastLinkParams() {
+  const email = outboxMessages().filter(m => /Telegram/.test(m.subject)).pop();
+  const match = email && email.html.match(/href="([^"]*\/api\/telegram\?action=link[^"]*)"/);
+  assert.ok(match, "no link email in the outbox");
+  return Object.fromEntries(new URL(match[1].replace(/&amp;/g, "&")).searchParams);
+}
+
+/* --------------------------------- Tests --------------------------------- */
+
+test.before(async () => {
+  stub = await startTelegramStub();
+  process.env.TELEGRAM_API_BASE = `http://127.0.0.1:${stub.address().port}`;
+  fs.writeFileSync(path.join(DATA_DIR, "deals.json"), JSON.stringify({ deals: DEALS }));
+});
+
+test.after(() => {
+  stub.close();
+});
+
+test("/link emails a link that only connects the chat after the page POSTs it", async () => {
+  const reply = await sendToBot(`/link ${EMAIL}`);
+  assert.match(reply.text, /Check your inbox/);
+  const params = lastLinkParams();
+
+  // Opening the link (or a scanner prefetching it) only shows the confirmation page
+  const opened = await call(telegram, { method: "GET", query: params });
+  assert.strictEqual(opened.statusCode, 302);
+  assert.match(opened.location, /\/pages\/telegram-link\.html\?email=runner%40example\.com&token=/);
+  assert.strictEqual((await getChat(CHAT_ID)).email, null);
+
+  const forged = await call(telegram, { method: "POST", query: { ...params, token: "nope" } });
+  assert.strictEqual(forged.statusCode, 401);
+  assert.strictEqual(forged.body.code, "INVALID_TOKEN");
+
+  const confirmed = await call(telegram, { method: "POST", query: params });
+  assert.strictEqual(confirmed.statusCode, 200);
+  assert.match(confirmed.body.redirectUrl, /telegram=linked/);
+  assert.strictEqual((await getChat(CHAT_ID)).email, EMAIL);
+  assert.strictEqual((await getNotificationPrefs(EMAIL)).telegram.chatId, CHAT_ID);
+  assert.match(sentMessages[sentMessages.length - 1].text, /Linked to <b>runner@example\.com<\/b>/);
+});
+
+test("chat files aren't named after the chat id", () => {
+  const files = fs.readdirSync(path.join(DATA_DIR, "telegram-chats"));
+  assert.ok(files.length > 0);
+  for (const file of files) assert.doesNotMatch(file, new RegExp(String(CHAT_ID)));
+});
+
+test("/alert hoka clifton 110 sets a confirmed Telegram alert", async () => {
+  const reply = await sendToBot("/alert hoka clifton 110");
+  assert.match(reply.text, /Alert set for <b>Hoka Clifton<\/b>/);
+  assert.strictEqual(reply.parse_mode, "HTML");
+
+  const [alert] = await listAlertsByEmail(EMAIL);
+  assert.strictEqual(alert.brand, "Hoka");
+  assert.strictEqual(alert.model, "Clifton");
+  assert.strictEqual(alert.mode, "target");
+  assert.strictEqual(Number(alert.targetPrice), 110);
+  assert.deepStrictEqual(alert.channels, ["telegram"]);
+  assert.ok(alert.confirmedAt);
+  assert.strictEqual(alert.pendingSince, null);
+});
+
+test("/myalerts lists the alerts without a manage link", async () => {
+  await sendToBot("/alert brooks ghost low");
+  const reply = await sendToBot("/myalerts");
+
+  assert.match(reply.text, /Your alerts \(runner@example\.com\)/);
+  assert.match(reply.text, /Hoka Clifton/);
+  assert.match(reply.text, /Brooks Ghost/);
+  assert.doesNotMatch(reply.text, /token=/);
+});
+
+test("/cancel <id> cancels one alert by its short id", async () => {
+  const ghost = (await listAlertsByEmail(EMAIL)).find(a => a.brand === "Brooks");
+  const shortId = ghost.id.split("_").pop();
+
+  const reply = await sendToBot(`/cancel ${shortId}`);
+  assert.match(reply.text, /Cancelled your alert for <b>Brooks Ghost<\/b>/);
+  assert.ok((await listAlertsByEmail(EMAIL)).find(a => a.id === ghost.id).cancelledAt);
+
+  assert.match((await sendToBot(`/cancel ${shortId}`)).text, /already cancelled/);
+  assert.match((await sendToBot("/cancel nope")).text, /No alert with that id/);
+});
+
+test("/search lists matching deals", async () => {
+  const reply = await sendToBot("/search novablast");
+  assert.match(reply.text, /Top deals for "novablast"/);
+  assert.match(reply.text, /<a href="https:\/\/example\.com\/novablast-4">ASICS Novablast 4<\/a>/);
+  assert.match(reply.text, /REI Outlet · \$94\.95 \(was \$140\.00\)/);
+  assert.match(reply.text, /Zappos · \$89\.95\n/);
+  assert.doesNotMatch(reply.text, /Novablast 2|NaN/);
+  assert.doesNotMatch(reply.text, /Clifton/);
+});
+
+test("check-alerts sends matches to the linked chat", async () => {
+  const before = sentMessages.length;
+  const res = await call(checkAlerts, { headers: { authorization: `Bearer ${process.env.CRON_SECRET}` } });
+  assert.strictEqual(res.statusCode, 200);
+
+  const delivered = sentMessages.slice(before).filter(m => m.chat_id === CHAT_ID);
+  assert.strictEqual(delivered.length, 1);
+  assert.match(delivered[0].text, /Hoka Clifton 9/);
+  assert.match(delivered[0].text, /https:\/\/example\.com\/clifton-9/);
+  assert.doesNotMatch(delivered[0].text, /Ghost/);
+  assert.doesNotMatch(delivered[0].text, /token=/);
+});
+
+test("/link emails one address a limited number of times, whichever chat asks", async () => {
+  const target = "someone@example.org";
+  for (let chatId = 1; chatId <= 3; chatId++) {
+    assert.match((await sendToBot(`/link ${target}`, chatId)).text, /Check your inbox/);
+  }
+  assert.match((await sendToBot(`/link ${target}`, 4)).text, /Too many link emails/);
+  assert.strictEqual(outboxMessages().filter(m => m.to === target).length, 3);
+
+  assert.match((await sendToBot("/link someone@mailinator.com", 5)).text, /permanent email address/);
+
+  // A list doesn't get a fresh counter (or mail everyone on it)
+  for (const list of [`${target},x1@example.org`, `${target};x2@example.org`, `${target} x3@example.org`]) {
+    assert.match((await sendToBot(`/link ${list}`, 6)).text, /Send \/link followed by your email address/);
+  }
+  assert.strictEqual(outboxMessages().filter(m => m.to.includes(target)).length, 3);
+});